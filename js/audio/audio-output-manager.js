@@ -6,6 +6,18 @@
  * - WebAudioFont (realistic instruments)
  * - Drums (sample playback)
  * - MIDI Output (external devices)
+ * 
+ * Every audio output plays through one master effects chain (EffectsChain)
+ * and volume node, and shares the envelope (ADSR) and tempo settings,
+ * so pages only talk to the manager:
+ * 
+ *   const outputManager = new AudioOutputManager();
+ *   await outputManager.init();
+ *   outputManager.setVolume(0.5);
+ *   outputManager.setADSR({ attack: 0.01, release: 1.0 });
+ *   outputManager.playNote(60, '8n', 0.7);        // Musical durations use setBPM()
+ *   outputManager.playNote(64, 0.25, 0.7, time);  // Or seconds, at an AudioContext time
+ *   outputManager.addEffect('reverb', { decay: 3 }, { send: true });
  */
 
 class AudioOutputManager extends EventTarget {
@@ -20,6 +32,16 @@ class AudioOutputManager extends EventTarget {
         this.currentOutput = 'tonejs';
         this.currentConfig = {};
         this.audioContext = null;
+        
+        // Master bus: outputs → effects chain → volume → speakers
+        this.effects = null;
+        this.masterGain = null;
+        this.volume = 1;
+        
+        // Shared settings, applied to outputs as they load
+        this.bpm = 120;           // For musical durations ('4n', '16n', ...)
+        this.adsr = null;         // { attack, decay, sustain, release }
+        this.synthType = null;    // Tone.js oscillator type
     }
 
     /**
@@ -28,6 +50,17 @@ class AudioOutputManager extends EventTarget {
     async init(audioContext) {
         this.audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
         
+        // Share one clock between Tone.js and the other engines,
+        // so a scheduled `time` means the same thing for every output
+        if (typeof Tone !== 'undefined') {
+            Tone.setContext(this.audioContext);
+        }
+        
+        this.masterGain = this.audioContext.createGain();
+        this.masterGain.gain.value = this.volume;
+        this.masterGain.connect(this.audioContext.destination);
+        this.effects = new EffectsChain(this.audioContext, this.masterGain);
+        
         // Initialize Tone.js by default (fast, no loading)
         await this.loadOutput('tonejs');
         
@@ -36,6 +69,11 @@ class AudioOutputManager extends EventTarget {
 
     /**
      * Load a specific output type
+     * 
+     * Events:
+     * - 'loading' → { type, config, progress } (progress 0-1 while soundfonts download)
+     * - 'ready'   → { type, config }
+     * - 'error'   → { type, error }
      */
     async loadOutput(type, config = {}) {
         console.log(`🔊 Loading ${type} output...`, config);
@@ -47,30 +85,37 @@ class AudioOutputManager extends EventTarget {
                 case 'tonejs':
                     if (!this.outputs.tonejs) {
                         this.outputs.tonejs = new ToneEngine();
-                        await this.outputs.tonejs.init();
+                        await this.outputs.tonejs.init(this.effects.input);
                     }
                     break;
 
                 case 'webaudiofont':
                     if (!this.outputs.webaudiofont) {
-                        this.outputs.webaudiofont = new WebAudioFontEngine(this.audioContext);
+                        this.outputs.webaudiofont = new WebAudioFontEngine(this.audioContext, this.effects.input);
                     }
-                    // Load specific instrument
+                    // Load specific instrument (soundfonts download on first use)
                     if (config.instrument) {
-                        await this.outputs.webaudiofont.loadInstrument(config.instrument);
+                        await this.outputs.webaudiofont.loadInstrument(config.instrument, (progress) => {
+                            this.dispatchEvent(new CustomEvent('loading', {
+                                detail: { type, config, progress }
+                            }));
+                        });
                     }
                     break;
 
                 case 'drums':
                     if (!this.outputs.drums) {
-                        this.outputs.drums = new DrumSampler();
+                        this.outputs.drums = new DrumSampler(this.audioContext, { destination: this.effects.input });
                         await this.outputs.drums.init();
                     }
                     break;
 
                 case 'midiout':
                     if (!this.outputs.midiout) {
-                        this.outputs.midiout = new MidiOutput();
+                        this.outputs.midiout = new MidiOutput(this.audioContext);
+                    }
+                    if (config.channel !== undefined) {
+                        this.outputs.midiout.setChannel(config.channel);
                     }
                     // Select specific device
                     if (config.deviceId) {
@@ -84,6 +129,8 @@ class AudioOutputManager extends EventTarget {
                     throw new Error(`Unknown output type: ${type}`);
             }
 
+            this.applySettings(this.outputs[type]);
+
             this.dispatchEvent(new CustomEvent('ready', { detail: { type, config } }));
             console.log(`✅ ${type} output ready`);
             return true;
@@ -97,20 +144,17 @@ class AudioOutputManager extends EventTarget {
 
     /**
      * Set the active output
+     * 
+     * @param {string} type - 'tonejs', 'webaudiofont', 'drums' or 'midiout'
+     * @param {object} config - e.g. { instrument } for webaudiofont,
+     *                          { deviceId, channel } for midiout (channel 0-15)
      */
     async setOutput(type, config = {}) {
-        // Load if not already loaded
-        if (!this.outputs[type]) {
+        // Load if not already loaded, or if WebAudioFont/MIDI needs reconfiguring
+        if (!this.outputs[type] || config.instrument || config.deviceId) {
             await this.loadOutput(type, config);
         }
 
-        // If WebAudioFont or MIDI, might need to reconfigure
-        if (type === 'webaudiofont' && config.instrument) {
-            await this.outputs.webaudiofont.loadInstrument(config.instrument);
-        } else if (type === 'midiout' && config.deviceId) {
-            await this.outputs.midiout.selectDevice(config.deviceId);
-        }
-
         this.currentOutput = type;
         this.currentConfig = config;
 
@@ -121,23 +165,181 @@ class AudioOutputManager extends EventTarget {
         console.log(`🔊 Active output: ${type}`, config);
     }
 
+    /**
+     * Apply the shared envelope and synth settings to an output
+     */
+    applySettings(output) {
+        if (this.adsr && output.setADSR) {
+            output.setADSR(this.adsr);
+        }
+        if (this.synthType && output.setSynthType) {
+            output.setSynthType(this.synthType);
+        }
+    }
+
+    /**
+     * Set master volume
+     * 
+     * @param {number} volume - 0-1
+     */
+    setVolume(volume) {
+        this.volume = clamp(volume, 0, 1);
+
+        if (this.masterGain) {
+            // Short ramp so slider moves don't click
+            this.masterGain.gain.setTargetAtTime(this.volume, this.audioContext.currentTime, 0.02);
+        }
+    }
+
+    /**
+     * Get master volume (0-1)
+     */
+    getVolume() {
+        return this.volume;
+    }
+
+    /**
+     * Add an effect to the master effects chain
+     * 
+     * @param {string} type - 'gain', 'compressor', 'limiter', 'filter', 'delay', 'reverb'
+     * @param {object} params - Initial parameter values
+     * @param {object} options - { send: true } for a parallel send, { index } for position
+     * @returns {string} Effect id
+     */
+    addEffect(type, params, options) {
+        return this.effects.addEffect(type, params, options);
+    }
+
+    /**
+     * Remove an effect from the master effects chain
+     */
+    removeEffect(id) {
+        this.effects.removeEffect(id);
+    }
+
+    /**
+     * Move an effect to a new position in the chain
+     */
+    moveEffect(id, index) {
+        this.effects.moveEffect(id, index);
+    }
+
+    /**
+     * Change an effect parameter (e.g. setEffectParam(id, 'mix', 0.5))
+     */
+    setEffectParam(id, name, value) {
+        this.effects.setParam(id, name, value);
+    }
+
+    /**
+     * Get the effects in the master chain
+     */
+    getEffects() {
+        return this.effects.getEffects();
+    }
+
+    /**
+     * Set the tempo used for musical durations
+     */
+    setBPM(bpm) {
+        this.bpm = bpm;
+    }
+
+    /**
+     * Get the tempo used for musical durations
+     */
+    getBPM() {
+        return this.bpm;
+    }
+
+    /**
+     * Convert a duration to seconds
+     * 
+     * @param {number|string} duration - Seconds, or a musical duration at the current BPM:
+     *                                   '4n' (quarter), '8n', '16n', '8t' (triplet),
+     *                                   '4n.' (dotted), '1m' (one 4/4 bar)
+     * @returns {number} Seconds
+     */
+    toSeconds(duration) {
+        if (typeof duration === 'number') return duration;
+
+        const match = /^(\d+)(n|t|m)(\.?)$/.exec(String(duration).trim());
+        if (!match) {
+            throw new Error(`Unknown duration: ${duration}`);
+        }
+
+        const value = parseInt(match[1], 10);
+        const beat = 60 / this.bpm;
+        let seconds;
+
+        if (match[2] === 'm') {
+            seconds = value * 4 * beat;
+        } else {
+            seconds = (4 / value) * beat;
+            if (match[2] === 't') {
+                seconds *= 2 / 3;
+            }
+        }
+
+        return match[3] ? seconds * 1.5 : seconds;
+    }
+
+    /**
+     * Set the envelope for every output that supports one
+     * (Tone.js synth, WebAudioFont sustained notes)
+     * 
+     * @param {object} adsr - { attack, decay, sustain, release } (any subset)
+     */
+    setADSR(adsr) {
+        this.adsr = { ...this.adsr, ...adsr };
+
+        Object.values(this.outputs).forEach(output => {
+            if (output && output.setADSR) {
+                output.setADSR(this.adsr);
+            }
+        });
+    }
+
+    /**
+     * Set the Tone.js oscillator type
+     * 
+     * @param {string} type - 'sine', 'square', 'sawtooth', 'triangle'
+     */
+    setSynthType(type) {
+        this.synthType = type;
+
+        if (this.outputs.tonejs) {
+            this.outputs.tonejs.setSynthType(type);
+        }
+    }
+
     /**
      * Play a note (triggers and releases automatically)
+     * 
+     * @param {number} note - MIDI note number
+     * @param {number|string} duration - Seconds, or a musical duration like '8n' (see toSeconds, default: 0.5)
+     * @param {number} velocity - Volume 0-1
+     * @param {number} time - AudioContext time to start at (default: now),
+     *                        e.g. the `time` from a Transport 'schedule' event
+     * @param {number} channel - MIDI channel 0-15, used by MIDI Output only
+     *                           (default: the channel set with setOutput('midiout', { channel }))
      */
-    playNote(note, duration, velocity) {
+    playNote(note, duration = 0.5, velocity, time, channel) {
         const output = this.outputs[this.currentOutput];
         if (!output) {
             console.error('No active output!');
             return;
         }
 
-        output.playNote(note, duration, velocity);
+        output.playNote(note, this.toSeconds(duration), velocity, time, channel);
     }
 
     /**
      * Trigger a note (sustains until released)
+     * 
+     * @param {number} channel - MIDI channel 0-15, used by MIDI Output only
      */
-    triggerNote(note, velocity) {
+    triggerNote(note, velocity, channel) {
         const output = this.outputs[this.currentOutput];
         if (!output) {
             console.error('No active output!');
@@ -145,7 +347,7 @@ class AudioOutputManager extends EventTarget {
         }
 
         if (output.triggerNote) {
-            output.triggerNote(note, velocity);
+            output.triggerNote(note, velocity, channel);
         } else {
             // Fallback for outputs that don't support sustain
             output.playNote(note, 1.0, velocity);
@@ -155,12 +357,38 @@ class AudioOutputManager extends EventTarget {
     /**
      * Release a sustained note
      */
-    releaseNote(note) {
+    releaseNote(note, channel) {
         const output = this.outputs[this.currentOutput];
         if (!output) return;
 
         if (output.releaseNote) {
-            output.releaseNote(note);
+            output.releaseNote(note, channel);
+        }
+    }
+
+    /**
+     * Play a drum pad (e.g. 'trigger' events from the keyboard drumpad layout)
+     * 
+     * @param {number} index - Pad index 0-15
+     * @param {number} velocity - Volume 0-1
+     * @param {number} time - AudioContext time to start at (default: now)
+     */
+    playDrum(index, velocity = 0.7, time) {
+        const output = this.outputs[this.currentOutput];
+        if (!output) {
+            console.error('No active output!');
+            return;
+        }
+
+        // Outputs with their own drums play the pads they have (Tone.js only has 0-6)
+        if (output.playDrum && output.playDrum(index, velocity, time)) {
+            return;
+        }
+
+        // Melodic outputs (and pads an output lacks) play the General MIDI drum note instead
+        const note = DrumSampler.padToNote(index);
+        if (note !== null) {
+            output.playNote(note, 0.2, velocity, time);
         }
     }
 
@@ -169,7 +397,7 @@ class AudioOutputManager extends EventTarget {
      */
     async getMidiOutputDevices() {
         try {
-            const midiAccess = await navigator.requestMIDIAccess();
+            const midiAccess = await MidiAccess.request();
             const devices = [];
             
             for (const output of midiAccess.outputs.values()) {
@@ -0,0 +1,259 @@
+/**
+ * Musical Instrument Sandbox - Drum Sampler
+ *
+ * Plays one-shot drum samples bundled in audio/drums/.
+ *
+ * Two ways to play a drum:
+ * - playNote(note)   → General MIDI drum map (notes 35-81)
+ * - playDrum(index)  → Drum pad index 0-15 (KeyboardInput 'drumpad' layout)
+ *
+ * USAGE:
+ *   const drums = new DrumSampler(audioContext);
+ *   await drums.init();
+ *   drums.playNote(36, 0.5, 0.8);  // Bass drum
+ *   drums.playDrum(1, 0.8);        // Pad 1 = snare
+ */
+
+// Samples live in audio/drums/, two folders up from this script
+const DRUM_SAMPLE_BASE_URL = new URL(
+    '../../audio/drums/',
+    document.currentScript ? document.currentScript.src : window.location.href
+).href;
+
+// Sample files (audio/drums/<name>.wav)
+const DRUM_SAMPLES = [
+    'kick', 'snare', 'rim', 'clap',
+    'hihat-closed', 'hihat-open', 'tom', 'crash',
+    'ride', 'cowbell', 'shaker', 'clave'
+];
+
+// General MIDI drum map: note -> { name, sample, rate (pitch), gain, chokeGroup }
+// A hit cuts off whatever is still ringing in its choke group (the open hi-hat)
+const GM_DRUM_MAP = {
+    35: { name: 'Acoustic Bass Drum', sample: 'kick', rate: 0.9 },
+    36: { name: 'Bass Drum 1', sample: 'kick' },
+    37: { name: 'Side Stick', sample: 'rim' },
+    38: { name: 'Acoustic Snare', sample: 'snare' },
+    39: { name: 'Hand Clap', sample: 'clap' },
+    40: { name: 'Electric Snare', sample: 'snare', rate: 1.15 },
+    41: { name: 'Low Floor Tom', sample: 'tom', rate: 0.7 },
+    42: { name: 'Closed Hi-Hat', sample: 'hihat-closed', chokeGroup: 'hihat' },
+    43: { name: 'High Floor Tom', sample: 'tom', rate: 0.8 },
+    44: { name: 'Pedal Hi-Hat', sample: 'hihat-closed', rate: 0.85, gain: 0.7, chokeGroup: 'hihat' },
+    45: { name: 'Low Tom', sample: 'tom', rate: 0.9 },
+    46: { name: 'Open Hi-Hat', sample: 'hihat-open', chokeGroup: 'hihat' },
+    47: { name: 'Low-Mid Tom', sample: 'tom', rate: 1.0 },
+    48: { name: 'Hi-Mid Tom', sample: 'tom', rate: 1.15 },
+    49: { name: 'Crash Cymbal 1', sample: 'crash' },
+    50: { name: 'High Tom', sample: 'tom', rate: 1.3 },
+    51: { name: 'Ride Cymbal 1', sample: 'ride' },
+    52: { name: 'Chinese Cymbal', sample: 'crash', rate: 0.8 },
+    53: { name: 'Ride Bell', sample: 'ride', rate: 1.3 },
+    54: { name: 'Tambourine', sample: 'shaker', rate: 1.3 },
+    55: { name: 'Splash Cymbal', sample: 'crash', rate: 1.4, gain: 0.7 },
+    56: { name: 'Cowbell', sample: 'cowbell' },
+    57: { name: 'Crash Cymbal 2', sample: 'crash', rate: 1.1 },
+    58: { name: 'Vibraslap', sample: 'shaker', rate: 0.6 },
+    59: { name: 'Ride Cymbal 2', sample: 'ride', rate: 0.9 },
+    60: { name: 'Hi Bongo', sample: 'tom', rate: 2.2, gain: 0.8 },
+    61: { name: 'Low Bongo', sample: 'tom', rate: 1.9, gain: 0.8 },
+    62: { name: 'Mute Hi Conga', sample: 'tom', rate: 1.7, gain: 0.7 },
+    63: { name: 'Open Hi Conga', sample: 'tom', rate: 1.6 },
+    64: { name: 'Low Conga', sample: 'tom', rate: 1.4 },
+    65: { name: 'High Timbale', sample: 'rim', rate: 0.6 },
+    66: { name: 'Low Timbale', sample: 'rim', rate: 0.5 },
+    67: { name: 'High Agogo', sample: 'cowbell', rate: 1.5 },
+    68: { name: 'Low Agogo', sample: 'cowbell', rate: 1.2 },
+    69: { name: 'Cabasa', sample: 'shaker', rate: 1.1 },
+    70: { name: 'Maracas', sample: 'shaker' },
+    71: { name: 'Short Whistle', sample: 'clave', rate: 1.2, gain: 0.6 },
+    72: { name: 'Long Whistle', sample: 'clave', rate: 1.1, gain: 0.6 },
+    73: { name: 'Short Guiro', sample: 'shaker', rate: 0.8 },
+    74: { name: 'Long Guiro', sample: 'shaker', rate: 0.7 },
+    75: { name: 'Claves', sample: 'clave' },
+    76: { name: 'Hi Wood Block', sample: 'clave', rate: 0.7 },
+    77: { name: 'Low Wood Block', sample: 'clave', rate: 0.55 },
+    78: { name: 'Mute Cuica', sample: 'tom', rate: 2.5, gain: 0.6 },
+    79: { name: 'Open Cuica', sample: 'tom', rate: 2.8, gain: 0.6 },
+    80: { name: 'Mute Triangle', sample: 'ride', rate: 2.0, gain: 0.5 },
+    81: { name: 'Open Triangle', sample: 'ride', rate: 2.2, gain: 0.6 }
+};
+
+// Drum pad index (0-15) -> General MIDI drum note
+// First 7 pads match ToneEngine.playDrum (kick, snare, hihat, clap, tom1-3)
+const DRUMPAD_NOTES = [
+    36, 38, 42, 39,   // Kick, Snare, Closed Hat, Clap
+    45, 47, 50, 46,   // Low Tom, Mid Tom, High Tom, Open Hat
+    49, 51, 37, 56,   // Crash, Ride, Side Stick, Cowbell
+    54, 60, 64, 75    // Tambourine, Hi Bongo, Low Conga, Claves
+];
+
+class DrumSampler {
+    constructor(audioContext, config = {}) {
+        this.audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)();
+        this.baseUrl = config.baseUrl || DRUM_SAMPLE_BASE_URL;
+        this.destination = config.destination || this.audioContext.destination;
+        this.buffers = {};
+        this.output = null;
+        this.activeVoices = new Set();  // { source, gain, chokeGroup }
+        this.loaded = false;
+    }
+
+    /**
+     * Load all drum samples
+     *
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (this.loaded) return;
+
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+
+        this.output = this.audioContext.createGain();
+        this.output.connect(this.destination);
+
+        try {
+            await Promise.all(DRUM_SAMPLES.map(name => this.loadSample(name)));
+            this.loaded = true;
+            console.log(`✅ DrumSampler ready! (${DRUM_SAMPLES.length} samples)`);
+        } catch (error) {
+            console.error('Failed to load drum samples:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch and decode one sample file
+     */
+    async loadSample(name) {
+        const url = `${this.baseUrl}${name}.wav`;
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Drum sample not found: ${url}`);
+        }
+
+        const data = await response.arrayBuffer();
+        this.buffers[name] = await this.audioContext.decodeAudioData(data);
+    }
+
+    /**
+     * Play a General MIDI drum note
+     *
+     * @param {number} note - GM drum note (35-81)
+     * @param {number} duration - Ignored (drum samples are one-shots)
+     * @param {number} velocity - Volume 0-1 (default: 0.7)
+     * @param {number} time - AudioContext time to start at (default: now)
+     */
+    playNote(note, duration, velocity = 0.7, time = this.audioContext.currentTime) {
+        if (!this.loaded) {
+            console.error('⚠️ DrumSampler not loaded! Call init() first.');
+            return;
+        }
+
+        const drum = GM_DRUM_MAP[note];
+        if (!drum) return;
+
+        const buffer = this.buffers[drum.sample];
+        if (!buffer) return;
+
+        // Closed/pedal hi-hat chokes the open hi-hat
+        if (drum.chokeGroup) {
+            this.chokeGroup(drum.chokeGroup, time);
+        }
+
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = drum.rate || 1;
+
+        const gain = this.audioContext.createGain();
+        gain.gain.value = clamp(velocity, 0, 1) * (drum.gain || 1);
+
+        source.connect(gain);
+        gain.connect(this.output);
+
+        const voice = { source, gain, chokeGroup: drum.chokeGroup };
+        this.activeVoices.add(voice);
+        source.onended = () => {
+            gain.disconnect();
+            this.activeVoices.delete(voice);
+        };
+
+        source.start(time);
+    }
+
+    /**
+     * Trigger a drum note (drums are one-shots, so this just plays it)
+     */
+    triggerNote(note, velocity = 0.7) {
+        this.playNote(note, undefined, velocity);
+    }
+
+    /**
+     * Release note (no-op - drum samples always play to the end)
+     */
+    releaseNote(note) {
+    }
+
+    /**
+     * Play a drum pad
+     *
+     * @param {number} drumIndex - Pad index 0-15
+     * @param {number} velocity - Volume 0-1
+     * @param {number} time - AudioContext time to start at (default: now)
+     * @returns {boolean} Whether the pad has a drum
+     */
+    playDrum(drumIndex, velocity = 0.7, time) {
+        const note = DrumSampler.padToNote(drumIndex);
+        if (note === null) return false;
+
+        this.playNote(note, undefined, velocity, time);
+        return true;
+    }
+
+    /**
+     * Quickly fade out every voice in a choke group
+     */
+    chokeGroup(group, time) {
+        this.activeVoices.forEach(voice => {
+            if (voice.chokeGroup === group) {
+                voice.gain.gain.cancelScheduledValues(time);
+                voice.gain.gain.setTargetAtTime(0, time, 0.01);
+                voice.source.stop(time + 0.1);
+            }
+        });
+    }
+
+    /**
+     * Stop all sounds immediately
+     */
+    stopAll() {
+        const now = this.audioContext.currentTime;
+        this.activeVoices.forEach(voice => {
+            voice.gain.gain.cancelScheduledValues(now);
+            voice.gain.gain.setTargetAtTime(0, now, 0.01);
+            voice.source.stop(now + 0.05);
+        });
+    }
+
+    /**
+     * Get the GM drum name for a note (e.g. 38 → 'Acoustic Snare')
+     */
+    static getDrumName(note) {
+        return GM_DRUM_MAP[note] ? GM_DRUM_MAP[note].name : null;
+    }
+
+    /**
+     * Convert a drum pad index (0-15) to a GM drum note
+     */
+    static padToNote(drumIndex) {
+        return drumIndex >= 0 && drumIndex < DRUMPAD_NOTES.length
+            ? DRUMPAD_NOTES[drumIndex]
+            : null;
+    }
+}
+
+// Make available globally
+window.DrumSampler = DrumSampler;
@@ -0,0 +1,446 @@
+/**
+ * Musical Instrument Sandbox - Effects Chain
+ *
+ * Master effects bus built from plain Web Audio nodes, so every engine
+ * sharing the AudioContext (Tone.js, WebAudioFont, drums) can run through it.
+ *
+ * Signal flow:
+ *
+ *   input → insert 1 → insert 2 → ... → bus ──────────→ destination
+ *                                         └→ send level → send effect ─┘
+ *
+ * - Inserts process the whole signal, in order (e.g. filter → compressor)
+ * - Sends run in parallel and are mixed back in (e.g. a shared reverb)
+ *
+ * Effect types: gain, compressor, limiter, filter, delay, reverb
+ * (see EffectsChain.getEffectTypes() for every parameter and its range)
+ *
+ * Events:
+ * - 'change' → { effects } whenever an effect is added, removed, moved or changed
+ *
+ * USAGE:
+ *   const chain = new EffectsChain(audioContext, audioContext.destination);
+ *   synth.connect(chain.input);
+ *   const filterId = chain.addEffect('filter', { frequency: 800 });
+ *   const reverbId = chain.addEffect('reverb', { decay: 3 }, { send: true });
+ *   chain.setParam(reverbId, 'send', 0.4);
+ *   chain.moveEffect(filterId, 1);
+ */
+
+// Effect types: parameter ranges (for the UI) and how to build them
+const EFFECT_TYPES = {
+    gain: {
+        label: 'Gain',
+        params: {
+            gain: { min: 0, max: 2, step: 0.01, value: 1 }
+        },
+        create: (ctx) => {
+            const node = ctx.createGain();
+            return {
+                input: node,
+                output: node,
+                set: (name, value) => {
+                    node.gain.setTargetAtTime(value, ctx.currentTime, 0.02);
+                }
+            };
+        }
+    },
+
+    compressor: {
+        label: 'Compressor',
+        params: {
+            threshold: { min: -60, max: 0, step: 1, value: -24 },
+            ratio: { min: 1, max: 20, step: 0.5, value: 4 },
+            knee: { min: 0, max: 40, step: 1, value: 30 },
+            attack: { min: 0, max: 1, step: 0.001, value: 0.003 },
+            release: { min: 0.01, max: 1, step: 0.01, value: 0.25 }
+        },
+        create: (ctx) => {
+            const node = ctx.createDynamicsCompressor();
+            return {
+                input: node,
+                output: node,
+                set: (name, value) => {
+                    node[name].setValueAtTime(value, ctx.currentTime);
+                }
+            };
+        }
+    },
+
+    // A compressor with a hard knee and high ratio - stops clipping on big chords
+    limiter: {
+        label: 'Limiter',
+        params: {
+            threshold: { min: -30, max: 0, step: 0.5, value: -3 },
+            release: { min: 0.01, max: 1, step: 0.01, value: 0.1 }
+        },
+        create: (ctx) => {
+            const node = ctx.createDynamicsCompressor();
+            node.knee.value = 0;
+            node.ratio.value = 20;
+            node.attack.value = 0.001;
+            return {
+                input: node,
+                output: node,
+                set: (name, value) => {
+                    node[name].setValueAtTime(value, ctx.currentTime);
+                }
+            };
+        }
+    },
+
+    filter: {
+        label: 'Filter',
+        params: {
+            type: { options: ['lowpass', 'highpass', 'bandpass', 'notch'], value: 'lowpass' },
+            frequency: { min: 20, max: 20000, step: 1, value: 2000 },
+            Q: { min: 0.1, max: 20, step: 0.1, value: 1 }
+        },
+        create: (ctx) => {
+            const node = ctx.createBiquadFilter();
+            return {
+                input: node,
+                output: node,
+                set: (name, value) => {
+                    if (name === 'type') {
+                        node.type = value;
+                    } else {
+                        node[name].setTargetAtTime(value, ctx.currentTime, 0.02);
+                    }
+                }
+            };
+        }
+    },
+
+    delay: {
+        label: 'Delay',
+        params: {
+            time: { min: 0.01, max: 2, step: 0.01, value: 0.375 },
+            feedback: { min: 0, max: 0.95, step: 0.01, value: 0.35 },
+            mix: { min: 0, max: 1, step: 0.01, value: 0.3 }
+        },
+        create: (ctx) => {
+            const unit = createWetDry(ctx);
+            const delay = ctx.createDelay(2);
+            const feedback = ctx.createGain();
+
+            unit.input.connect(delay);
+            delay.connect(feedback);
+            feedback.connect(delay);
+            delay.connect(unit.wet);
+
+            return {
+                input: unit.input,
+                output: unit.output,
+                set: (name, value) => {
+                    if (name === 'time') {
+                        delay.delayTime.setTargetAtTime(value, ctx.currentTime, 0.02);
+                    } else if (name === 'feedback') {
+                        feedback.gain.setTargetAtTime(value, ctx.currentTime, 0.02);
+                    } else if (name === 'mix') {
+                        unit.setMix(value);
+                    }
+                }
+            };
+        }
+    },
+
+    reverb: {
+        label: 'Reverb',
+        params: {
+            decay: { min: 0.1, max: 10, step: 0.1, value: 2 },
+            mix: { min: 0, max: 1, step: 0.01, value: 0.3 }
+        },
+        create: (ctx) => {
+            const unit = createWetDry(ctx);
+            const convolver = ctx.createConvolver();
+
+            unit.input.connect(convolver);
+            convolver.connect(unit.wet);
+
+            // Rebuilding the impulse response is slow, so wait until a slider settles
+            let decayTimer = null;
+
+            return {
+                input: unit.input,
+                output: unit.output,
+                set: (name, value) => {
+                    if (name === 'decay') {
+                        if (!convolver.buffer) {
+                            convolver.buffer = createImpulseResponse(ctx, value);
+                            return;
+                        }
+                        clearTimeout(decayTimer);
+                        decayTimer = setTimeout(() => {
+                            convolver.buffer = createImpulseResponse(ctx, value);
+                        }, 150);
+                    } else if (name === 'mix') {
+                        unit.setMix(value);
+                    }
+                }
+            };
+        }
+    }
+};
+
+/**
+ * Input/output pair with a dry path and a wet gain for the effect to feed
+ */
+function createWetDry(ctx) {
+    const input = ctx.createGain();
+    const output = ctx.createGain();
+    const dry = ctx.createGain();
+    const wet = ctx.createGain();
+
+    input.connect(dry);
+    dry.connect(output);
+    wet.connect(output);
+
+    return {
+        input,
+        output,
+        wet,
+        setMix: (mix) => {
+            dry.gain.setTargetAtTime(1 - mix, ctx.currentTime, 0.02);
+            wet.gain.setTargetAtTime(mix, ctx.currentTime, 0.02);
+        }
+    };
+}
+
+/**
+ * Stereo impulse response: white noise with an exponential fade
+ *
+ * @param {number} decay - Reverb length in seconds
+ */
+function createImpulseResponse(ctx, decay) {
+    const length = Math.max(1, Math.floor(ctx.sampleRate * decay));
+    const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
+
+    for (let channel = 0; channel < 2; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < length; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+        }
+    }
+
+    return buffer;
+}
+
+class EffectsChain extends EventTarget {
+    /**
+     * @param {AudioContext} audioContext
+     * @param {AudioNode} destination - Where the processed signal goes
+     */
+    constructor(audioContext, destination) {
+        super();
+        this.audioContext = audioContext;
+        this.destination = destination || audioContext.destination;
+
+        // Engines connect to `input`; sends tap `bus` after the inserts
+        this.input = audioContext.createGain();
+        this.bus = audioContext.createGain();
+
+        this.inserts = [];   // In signal order
+        this.sends = [];
+        this.nextId = 1;
+
+        this.rewire();
+    }
+
+    /**
+     * Get every effect type with its label and parameter ranges
+     *
+     * @returns {object} { type: { label, params: { name: { min, max, step, value } | { options, value } } } }
+     */
+    static getEffectTypes() {
+        const types = {};
+        Object.entries(EFFECT_TYPES).forEach(([type, def]) => {
+            types[type] = { label: def.label, params: def.params };
+        });
+        return types;
+    }
+
+    /**
+     * Add an effect
+     *
+     * @param {string} type - 'gain', 'compressor', 'limiter', 'filter', 'delay', 'reverb'
+     * @param {object} params - Initial parameter values (others use defaults)
+     * @param {object} options - { send: true } for a parallel send effect,
+     *                           { index } to insert at a position (default: end)
+     * @returns {string} Effect id
+     */
+    addEffect(type, params = {}, options = {}) {
+        const def = EFFECT_TYPES[type];
+        if (!def) {
+            const available = Object.keys(EFFECT_TYPES).join(', ');
+            throw new Error(`Unknown effect: ${type}. Available: ${available}`);
+        }
+
+        const effect = {
+            id: `${type}-${this.nextId++}`,
+            type,
+            send: !!options.send,
+            bypass: false,
+            params: {},
+            unit: def.create(this.audioContext)
+        };
+
+        if (effect.send) {
+            // Send effects return 100% wet - the dry signal is already on the bus
+            effect.sendGain = this.audioContext.createGain();
+            effect.sendGain.connect(effect.unit.input);
+            effect.params.send = params.send !== undefined ? params.send : 0.3;
+            effect.sendGain.gain.value = effect.params.send;
+            if (def.params.mix && params.mix === undefined) {
+                params = { ...params, mix: 1 };
+            }
+        }
+
+        Object.entries(def.params).forEach(([name, param]) => {
+            const value = params[name] !== undefined ? params[name] : param.value;
+            effect.params[name] = value;
+            effect.unit.set(name, value);
+        });
+
+        const list = effect.send ? this.sends : this.inserts;
+        const index = options.index !== undefined ? clamp(options.index, 0, list.length) : list.length;
+        list.splice(index, 0, effect);
+
+        this.rewire();
+        this.emitChange();
+
+        console.log(`🎛️ Added ${effect.send ? 'send' : 'insert'} effect: ${effect.id}`);
+        return effect.id;
+    }
+
+    /**
+     * Remove an effect
+     */
+    removeEffect(id) {
+        const effect = this.getEffect(id);
+        if (!effect) return;
+
+        const list = effect.send ? this.sends : this.inserts;
+        list.splice(list.indexOf(effect), 1);
+
+        effect.unit.output.disconnect();
+        if (effect.sendGain) {
+            effect.sendGain.disconnect();
+        }
+
+        this.rewire();
+        this.emitChange();
+    }
+
+    /**
+     * Move an effect to a new position (inserts: signal order)
+     */
+    moveEffect(id, index) {
+        const effect = this.getEffect(id);
+        if (!effect) return;
+
+        const list = effect.send ? this.sends : this.inserts;
+        list.splice(list.indexOf(effect), 1);
+        list.splice(clamp(index, 0, list.length), 0, effect);
+
+        this.rewire();
+        this.emitChange();
+    }
+
+    /**
+     * Change an effect parameter
+     *
+     * @param {string} id - Effect id
+     * @param {string} name - Parameter name (or 'send' for a send effect's level)
+     * @param {number|string} value
+     */
+    setParam(id, name, value) {
+        const effect = this.getEffect(id);
+        if (!effect) return;
+
+        if (name === 'send' && effect.sendGain) {
+            effect.sendGain.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.02);
+        } else if (EFFECT_TYPES[effect.type].params[name]) {
+            effect.unit.set(name, value);
+        } else {
+            throw new Error(`Unknown parameter for ${effect.type}: ${name}`);
+        }
+
+        effect.params[name] = value;
+        this.emitChange();
+    }
+
+    /**
+     * Bypass (or re-enable) an effect without removing it
+     */
+    setBypass(id, bypass) {
+        const effect = this.getEffect(id);
+        if (!effect) return;
+
+        effect.bypass = bypass;
+        this.rewire();
+        this.emitChange();
+    }
+
+    /**
+     * Get the current effects
+     *
+     * @returns {Array<object>} [{ id, type, send, bypass, params }] - inserts first, in order
+     */
+    getEffects() {
+        return [...this.inserts, ...this.sends].map(({ id, type, send, bypass, params }) => ({
+            id, type, send, bypass, params: { ...params }
+        }));
+    }
+
+    /**
+     * Find an effect by id
+     */
+    getEffect(id) {
+        return this.inserts.find(e => e.id === id) || this.sends.find(e => e.id === id) || null;
+    }
+
+    /**
+     * Remove every effect
+     */
+    clear() {
+        [...this.inserts, ...this.sends].forEach(effect => this.removeEffect(effect.id));
+    }
+
+    /**
+     * Reconnect the chain after a change
+     */
+    rewire() {
+        this.input.disconnect();
+        this.bus.disconnect();
+        this.inserts.forEach(effect => effect.unit.output.disconnect());
+        this.sends.forEach(effect => effect.unit.output.disconnect());
+
+        // Inserts in series
+        let previous = this.input;
+        this.inserts.forEach(effect => {
+            if (effect.bypass) return;
+            previous.connect(effect.unit.input);
+            previous = effect.unit.output;
+        });
+        previous.connect(this.bus);
+
+        this.bus.connect(this.destination);
+
+        // Sends in parallel
+        this.sends.forEach(effect => {
+            if (effect.bypass) return;
+            this.bus.connect(effect.sendGain);
+            effect.unit.output.connect(this.destination);
+        });
+    }
+
+    emitChange() {
+        this.dispatchEvent(new CustomEvent('change', {
+            detail: { effects: this.getEffects() }
+        }));
+    }
+}
+
+// Make available globally
+window.EffectsChain = EffectsChain;
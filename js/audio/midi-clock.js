@@ -0,0 +1,253 @@
+/**
+ * Musical Instrument Sandbox - MIDI Clock
+ *
+ * Syncs a Transport with other devices over MIDI clock (24 ticks per
+ * quarter note), so several laptops or a drum machine share one tempo.
+ *
+ * MODES:
+ * - 'internal': the Transport runs on its own BPM (default)
+ * - 'slave':    follow clock, start/stop/continue and song position from
+ *               MidiInput - one step every 24 / stepsPerBeat ticks
+ * - 'master':   send clock, start/stop/continue through a MidiOutput,
+ *               timestamped from the Transport's look-ahead schedule
+ *
+ * Events:
+ * - 'bpm' → { bpm } - Tempo measured from incoming clock (slave only)
+ *
+ * USAGE:
+ *   const midiClock = new MidiClock(transport);
+ *
+ *   // Follow another device
+ *   await inputManager.enableInput('midi');
+ *   midiClock.setMode('slave', { inputManager });
+ *
+ *   // Lead other devices
+ *   const clockOut = new MidiOutput(audioContext);
+ *   await clockOut.selectDevice(deviceId);
+ *   midiClock.setMode('master', { midiOutput: clockOut });
+ */
+
+const MIDI_CLOCK_TICKS_PER_BEAT = 24;
+
+class MidiClock extends EventTarget {
+    /**
+     * @param {Transport} transport
+     */
+    constructor(transport) {
+        super();
+        this.transport = transport;
+        this.audioContext = transport.audioContext;
+
+        this.mode = 'internal';
+        this.inputManager = null;
+        this.midiOutput = null;
+
+        // Slave state
+        this.tickCount = 0;          // Ticks since start
+        this.positionStep = 0;       // Step to continue from (stop or song position)
+        this.tickTimes = [];         // Recent tick timestamps (ms) for tempo
+        this.bpm = null;
+
+        this.inputHandlers = {
+            'clock': (e) => this.handleClock(e.detail),
+            'transport': (e) => this.handleTransport(e.detail)
+        };
+
+        this.transportHandlers = {
+            'schedule': (e) => this.sendClockTicks(e.detail.time),
+            'start': (e) => this.sendStart(e.detail),
+            'stop': (e) => this.sendStop(e.detail.time)
+        };
+    }
+
+    /**
+     * Ticks between two sequencer steps (6 for 16th notes)
+     */
+    getTicksPerStep() {
+        return MIDI_CLOCK_TICKS_PER_BEAT / this.transport.stepsPerBeat;
+    }
+
+    /**
+     * Switch sync mode
+     *
+     * @param {string} mode - 'internal', 'slave' or 'master'
+     * @param {object} options
+     * @param {InputManager} options.inputManager - With 'midi' enabled (slave)
+     * @param {MidiOutput} options.midiOutput - Initialised, device selected (master)
+     */
+    setMode(mode, options = {}) {
+        this.disconnect();
+
+        switch (mode) {
+            case 'internal':
+                break;
+
+            case 'slave':
+                if (!options.inputManager) {
+                    throw new Error('MIDI clock slave needs an InputManager with MIDI input enabled');
+                }
+                this.inputManager = options.inputManager;
+                Object.entries(this.inputHandlers).forEach(([type, handler]) => {
+                    this.inputManager.addEventListener(type, handler);
+                });
+                this.transport.setExternalClock(true);
+                break;
+
+            case 'master':
+                if (!options.midiOutput) {
+                    throw new Error('MIDI clock master needs a MidiOutput');
+                }
+                this.midiOutput = options.midiOutput;
+                Object.entries(this.transportHandlers).forEach(([type, handler]) => {
+                    this.transport.addEventListener(type, handler);
+                });
+                break;
+
+            default:
+                throw new Error(`Unknown MIDI clock mode: ${mode}`);
+        }
+
+        this.mode = mode;
+        console.log(`⏱️ MIDI clock: ${mode}`);
+    }
+
+    /**
+     * Remove the listeners of the current mode
+     */
+    disconnect() {
+        if (this.inputManager) {
+            Object.entries(this.inputHandlers).forEach(([type, handler]) => {
+                this.inputManager.removeEventListener(type, handler);
+            });
+            this.inputManager = null;
+            this.transport.setExternalClock(false);
+        }
+
+        if (this.midiOutput) {
+            Object.entries(this.transportHandlers).forEach(([type, handler]) => {
+                this.transport.removeEventListener(type, handler);
+            });
+            if (this.transport.isPlaying) {
+                this.midiOutput.send([0xFC]);
+            }
+            this.midiOutput = null;
+        }
+
+        this.tickTimes = [];
+        this.bpm = null;
+        this.mode = 'internal';
+    }
+
+    // ========================================
+    // SLAVE
+    // ========================================
+
+    handleClock({ timestamp }) {
+        this.measureTempo(timestamp);
+
+        // Play (or a start message) arms the transport, the ticks move it
+        if (!this.transport.isPlaying) return;
+
+        if (this.tickCount % this.getTicksPerStep() === 0) {
+            this.transport.clockStep(this.timestampToAudioTime(timestamp));
+        }
+        this.tickCount++;
+    }
+
+    handleTransport({ action, position }) {
+        switch (action) {
+            case 'start':
+                this.positionStep = 0;
+                this.begin();
+                break;
+
+            case 'continue':
+                this.begin();
+                break;
+
+            case 'stop':
+                // Continue picks up here, unless a song position comes first
+                this.positionStep = this.transport.currentStep;
+                this.transport.stop();
+                break;
+
+            case 'position':
+                // Song position counts 16th notes
+                this.positionStep = Math.round(position * this.transport.stepsPerBeat / 4);
+                break;
+        }
+    }
+
+    /**
+     * Start on the next clock tick
+     */
+    begin() {
+        this.tickCount = 0;
+        this.transport.stop();
+        this.transport.start(this.positionStep);
+    }
+
+    /**
+     * Average the last beat of tick intervals into a BPM
+     */
+    measureTempo(timestamp) {
+        this.tickTimes.push(timestamp);
+        if (this.tickTimes.length > MIDI_CLOCK_TICKS_PER_BEAT + 1) {
+            this.tickTimes.shift();
+        }
+        if (this.tickTimes.length < MIDI_CLOCK_TICKS_PER_BEAT + 1) return;
+
+        const beatLength = this.tickTimes[this.tickTimes.length - 1] - this.tickTimes[0];
+        const bpm = Math.round(60000 / beatLength * 10) / 10;
+
+        // Only report real changes, not jitter
+        if (this.bpm === null || Math.abs(bpm - this.bpm) >= 0.5) {
+            this.bpm = bpm;
+            this.transport.setBPM(bpm);
+            this.dispatchEvent(new CustomEvent('bpm', { detail: { bpm } }));
+        }
+    }
+
+    /**
+     * Convert a MIDI timestamp (performance.now() ms) to AudioContext time
+     */
+    timestampToAudioTime(timestamp) {
+        const now = this.audioContext.currentTime;
+        if (timestamp === undefined) return now;
+        return Math.max(now, now + (timestamp - performance.now()) / 1000);
+    }
+
+    // ========================================
+    // MASTER
+    // ========================================
+
+    /**
+     * Send the clock ticks for one scheduled step
+     */
+    sendClockTicks(time) {
+        const ticks = this.getTicksPerStep();
+        const tickLength = this.transport.getStepDuration() / ticks;
+
+        for (let i = 0; i < ticks; i++) {
+            this.midiOutput.send([0xF8], time + i * tickLength);
+        }
+    }
+
+    sendStart({ step, time }) {
+        if (step === 0) {
+            this.midiOutput.send([0xFA], time);
+        } else {
+            // Song position (in 16th notes), then continue
+            const position = Math.round(step * 4 / this.transport.stepsPerBeat);
+            this.midiOutput.send([0xF2, position & 0x7F, (position >> 7) & 0x7F], time);
+            this.midiOutput.send([0xFB], time);
+        }
+    }
+
+    sendStop(time) {
+        this.midiOutput.send([0xFC], time);
+    }
+}
+
+// Make available globally
+window.MidiClock = MidiClock;
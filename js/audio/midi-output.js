@@ -2,25 +2,57 @@
  * Musical Instrument Sandbox - MIDI Output
  * 
  * Sends MIDI messages to external hardware or software.
+ * 
+ * CHANNELS are 0-15 (0 = MIDI channel 1). Every method takes an optional
+ * channel; leave it out to use the instance's channel (setChannel()).
+ * Drum pads go to channel 10 (index 9), the General MIDI drum channel.
+ * 
+ * TIMES are AudioContext times in seconds, like the other outputs - they
+ * become MIDIOutput.send() timestamps, so the browser sends each message
+ * on time even when it was queued early (e.g. by Transport).
+ * 
+ * USAGE:
+ *   const midi = new MidiOutput(audioContext, { channel: 1 });
+ *   await midi.init();
+ *   midi.sendProgramChange(40);               // Violin on channel 2
+ *   midi.playNote(60, 0.5, 0.8);              // Channel 2
+ *   midi.playNote(36, 0.1, 0.8, time, 9);     // Kick on the drum channel
+ *
+ * SYSEX needs { sysex: true } (the browser asks the player's permission):
+ *   const synth = new MidiOutput(audioContext, { sysex: true });
+ *   await synth.init();
+ *   synth.sendSysex([0xF0, 0x7E, 0x7F, 0x09, 0x01, 0xF7]);   // General MIDI on
  */
 
 class MidiOutput {
-    constructor() {
-        this.midiAccess = null;
+    /**
+     * @param {AudioContext} audioContext - Optional, lets methods take AudioContext times
+     * @param {object} options
+     * @param {number} options.channel - Default channel 0-15 (default: 0 = channel 1)
+     * @param {boolean} options.sysex - Ask for system exclusive access (default: false)
+     * @param {MIDIAccess} options.midiAccess - Use this instead of MidiAccess.request()
+     *                                          (e.g. VirtualMidi in tests)
+     */
+    constructor(audioContext = null, options = {}) {
+        this.audioContext = audioContext;
+        this.midiAccess = options.midiAccess || null;
         this.outputDevice = null;
-        this.activeNotes = new Set();
+        this.sysex = !!options.sysex;
+        this.channel = clamp(Math.floor(options.channel || 0), 0, 15);
+        this.drumChannel = 9;
+        this.activeNotes = new Map();  // 'channel:note' → { note, channel }
     }
 
     /**
      * Initialize MIDI output
      */
     async init() {
-        if (!navigator.requestMIDIAccess) {
+        if (!this.midiAccess && !MidiAccess.isSupported()) {
             throw new Error('Web MIDI API not supported in this browser');
         }
 
         try {
-            this.midiAccess = await navigator.requestMIDIAccess();
+            this.midiAccess = this.midiAccess || await MidiAccess.request({ sysex: this.sysex });
             
             // Get first available output
             const outputs = Array.from(this.midiAccess.outputs.values());
@@ -75,30 +107,111 @@ class MidiOutput {
         return devices;
     }
 
+    /**
+     * Convert an AudioContext time (seconds) to a MIDI timestamp (performance.now() ms)
+     */
+    audioTimeToTimestamp(time) {
+        if (time === undefined || !this.audioContext) {
+            return performance.now();
+        }
+        return performance.now() + (time - this.audioContext.currentTime) * 1000;
+    }
+
+    /**
+     * Set the default channel for messages sent without one
+     * 
+     * @param {number} channel - 0-15
+     */
+    setChannel(channel) {
+        this.channel = clamp(Math.floor(channel), 0, 15);
+    }
+
+    /**
+     * Send a raw MIDI message
+     * 
+     * @param {Array<number>} data - Message bytes
+     * @param {number} time - AudioContext time to send at (default: now)
+     */
+    send(data, time) {
+        if (!this.outputDevice) {
+            console.error('No MIDI output device selected');
+            return;
+        }
+
+        this.outputDevice.send(data, this.audioTimeToTimestamp(time));
+    }
+
+    /**
+     * Send a system exclusive message
+     * 
+     * @param {Array<number>|Uint8Array} bytes - The whole message, 0xF0 ... 0xF7
+     * @param {number} time - AudioContext time to send at (default: now)
+     */
+    sendSysex(bytes, time) {
+        const data = Array.from(bytes);
+
+        if (data.length < 2 || data[0] !== 0xF0 || data[data.length - 1] !== 0xF7) {
+            throw new Error('A sysex message must start with 0xF0 and end with 0xF7');
+        }
+        if (data.slice(1, -1).some(byte => !Number.isInteger(byte) || byte < 0 || byte > 0x7F)) {
+            throw new Error('Sysex data bytes must be 0-127');
+        }
+        if (this.midiAccess && this.midiAccess.sysexEnabled === false) {
+            throw new Error('Sysex not allowed: create the MidiOutput with { sysex: true }');
+        }
+
+        this.send(data, time);
+    }
+
+    /**
+     * Status byte for a message type on a channel (default: this.channel)
+     */
+    status(type, channel = this.channel) {
+        return type | (channel & 0x0F);
+    }
+
     /**
      * Play a note (with automatic note-off)
+     * 
+     * @param {number} time - AudioContext time to start at (default: now)
+     * @param {number} channel - 0-15 (default: this.channel)
      */
-    playNote(note, duration, velocity) {
+    playNote(note, duration, velocity, time, channel = this.channel) {
         if (!this.outputDevice) {
             console.error('No MIDI output device selected');
             return;
         }
 
         const velocityValue = Math.floor(velocity * 127);
+        const timestamp = this.audioTimeToTimestamp(time);
 
-        // Note On (0x90 = note on, channel 1)
-        this.outputDevice.send([0x90, note, velocityValue]);
+        // Note On
+        this.outputDevice.send([this.status(0x90, channel), note, velocityValue], timestamp);
 
-        // Note Off after duration
-        setTimeout(() => {
-            this.outputDevice.send([0x80, note, 0]);
-        }, duration * 1000);
+        // Note Off after duration (timestamped, so the browser sends it on time)
+        this.outputDevice.send([this.status(0x80, channel), note, 0], timestamp + duration * 1000);
+    }
+
+    /**
+     * Play a drum pad on the General MIDI drum channel
+     * 
+     * @param {number} index - Pad index 0-15
+     * @returns {boolean} Whether the pad has a drum note
+     */
+    playDrum(index, velocity = 0.7, time) {
+        const note = DrumSampler.padToNote(index);
+        if (note === null) return false;
+
+        this.playNote(note, 0.1, velocity, time, this.drumChannel);
+        return true;
     }
 
     /**
      * Trigger note (sustain until released)
+     * 
+     * @param {number} channel - 0-15 (default: this.channel)
      */
-    triggerNote(note, velocity) {
+    triggerNote(note, velocity, channel = this.channel) {
         if (!this.outputDevice) {
             console.error('No MIDI output device selected');
             return;
@@ -107,19 +220,76 @@ class MidiOutput {
         const velocityValue = Math.floor(velocity * 127);
         
         // Note On
-        this.outputDevice.send([0x90, note, velocityValue]);
-        this.activeNotes.add(note);
+        this.outputDevice.send([this.status(0x90, channel), note, velocityValue]);
+        this.activeNotes.set(`${channel}:${note}`, { note, channel });
     }
 
     /**
      * Release note
+     * 
+     * @param {number} channel - 0-15 (default: this.channel)
      */
-    releaseNote(note) {
+    releaseNote(note, channel = this.channel) {
         if (!this.outputDevice) return;
 
         // Note Off
-        this.outputDevice.send([0x80, note, 0]);
-        this.activeNotes.delete(note);
+        this.outputDevice.send([this.status(0x80, channel), note, 0]);
+        this.activeNotes.delete(`${channel}:${note}`);
+    }
+
+    /**
+     * Select an instrument (General MIDI: 0 = piano, 40 = violin, ...)
+     * 
+     * @param {number} program - 0-127
+     * @param {number} channel - 0-15 (default: this.channel)
+     * @param {number} time - AudioContext time (default: now)
+     */
+    sendProgramChange(program, channel = this.channel, time) {
+        this.send([this.status(0xC0, channel), clamp(Math.floor(program), 0, 127)], time);
+    }
+
+    /**
+     * Send a controller value (1 = mod wheel, 7 = volume, 64 = sustain, ...)
+     * 
+     * @param {number} control - Controller number 0-127
+     * @param {number} value - 0-1, like 'control-change' input events
+     * @param {number} channel - 0-15 (default: this.channel)
+     * @param {number} time - AudioContext time (default: now)
+     */
+    sendControlChange(control, value, channel = this.channel, time) {
+        this.send([this.status(0xB0, channel), control, Math.round(clamp(value, 0, 1) * 127)], time);
+    }
+
+    /**
+     * Bend the pitch of every note on a channel
+     * 
+     * @param {number} value - -1 (down) to 1 (up), 0 = centre
+     * @param {number} channel - 0-15 (default: this.channel)
+     * @param {number} time - AudioContext time (default: now)
+     */
+    sendPitchBend(value, channel = this.channel, time) {
+        // 14-bit value, 8192 = centre, sent as two 7-bit bytes (LSB first)
+        const amount = clamp(value, -1, 1);
+        const bend = clamp(Math.round(8192 + amount * (amount < 0 ? 8192 : 8191)), 0, 16383);
+        this.send([this.status(0xE0, channel), bend & 0x7F, (bend >> 7) & 0x7F], time);
+    }
+
+    /**
+     * Send aftertouch (pressure after the key is down)
+     * 
+     * @param {number} pressure - 0-1
+     * @param {number} note - Poly aftertouch for this note; leave out for channel aftertouch
+     * @param {number} channel - 0-15 (default: this.channel)
+     * @param {number} time - AudioContext time (default: now)
+     */
+    sendAftertouch(pressure, note = null, channel = this.channel, time) {
+        const value = Math.round(clamp(pressure, 0, 1) * 127);
+
+        if (note === null) {
+            this.send([this.status(0xD0, channel), value], time);
+        } else {
+            this.send([this.status(0xA0, channel), note, value], time);
+        }
     }
 
     /**
@@ -129,14 +299,16 @@ class MidiOutput {
         if (!this.outputDevice) return;
 
         // Send note off for all active notes
-        this.activeNotes.forEach(note => {
-            this.outputDevice.send([0x80, note, 0]);
+        this.activeNotes.forEach(({ note, channel }) => {
+            this.outputDevice.send([this.status(0x80, channel), note, 0]);
         });
         
         this.activeNotes.clear();
 
-        // Also send All Notes Off (CC 123)
-        this.outputDevice.send([0xB0, 123, 0]);
+        // Also send All Notes Off (CC 123) on every channel
+        for (let channel = 0; channel < 16; channel++) {
+            this.outputDevice.send([this.status(0xB0, channel), 123, 0]);
+        }
     }
 }
 
@@ -0,0 +1,365 @@
+/**
+ * Musical Instrument Sandbox - Recorder
+ *
+ * Records whatever AudioOutputManager plays (after effects and volume)
+ * and exports it as a WAV file - plus optional compressed audio
+ * (WebM/Ogg via MediaRecorder) for smaller files.
+ *
+ * MIDI Output isn't audio, so it can't be recorded here.
+ *
+ * Events:
+ * - 'start' / 'pause' / 'resume'
+ * - 'stop' → { wav, compressed, duration } (compressed is null unless enabled)
+ *
+ * USAGE:
+ *   const recorder = new Recorder(outputManager, { compressed: true });
+ *   recorder.start();
+ *   ...
+ *   const { wav } = await recorder.stop();
+ *   recorder.download(wav, 'my-song.wav');
+ */
+
+// Copies input blocks to the main thread while recording. With nothing
+// playing into it the input has no channels - that's silence, not a gap,
+// so it records a silent block to keep the timing.
+const RECORDER_WORKLET = `
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.recording = false;
+        this.channels = options.processorOptions.channels;
+        this.port.onmessage = (e) => { this.recording = e.data.recording; };
+    }
+
+    process(inputs) {
+        if (!this.recording) return true;
+
+        const input = inputs[0];
+        if (input.length > 0) {
+            this.port.postMessage(input.map(channel => channel.slice()));
+        } else {
+            this.port.postMessage(Array.from({ length: this.channels }, () => new Float32Array(128)));
+        }
+        return true;
+    }
+}
+registerProcessor('sandbox-recorder', RecorderProcessor);
+`;
+
+class Recorder extends EventTarget {
+    /**
+     * @param {AudioOutputManager} outputManager - Must be initialised (init() called)
+     * @param {object} options
+     * @param {boolean} options.compressed - Also record compressed audio with MediaRecorder
+     * @param {number} options.channels - 1 (mono) or 2 (stereo, default)
+     */
+    constructor(outputManager, options = {}) {
+        super();
+        this.outputManager = outputManager;
+        this.audioContext = outputManager.audioContext;
+        this.channels = options.channels || 2;
+        this.compressed = !!options.compressed;
+
+        this.state = 'inactive';   // 'inactive', 'recording', 'paused'
+        this.chunks = [];          // Per channel: [Float32Array, ...]
+        this.sampleCount = 0;
+
+        this.captureNode = null;
+        this.setupPromise = null;  // setup() in progress or done
+        this.silentOutput = null;
+        this.mediaRecorder = null;
+        this.mediaStream = null;   // MediaStreamAudioDestinationNode feeding mediaRecorder
+        this.mediaChunks = [];
+    }
+
+    /**
+     * Create the capture node and tap the master output (first start only)
+     */
+    setup() {
+        // Two quick start() calls share one setup
+        if (!this.setupPromise) {
+            this.setupPromise = this.createCaptureNode().catch(error => {
+                this.setupPromise = null;
+                throw error;
+            });
+        }
+        return this.setupPromise;
+    }
+
+    async createCaptureNode() {
+        if (this.audioContext.audioWorklet) {
+            const url = URL.createObjectURL(new Blob([RECORDER_WORKLET], { type: 'application/javascript' }));
+            await this.audioContext.audioWorklet.addModule(url);
+            URL.revokeObjectURL(url);
+
+            this.captureNode = new AudioWorkletNode(this.audioContext, 'sandbox-recorder', {
+                channelCount: this.channels,
+                channelCountMode: 'explicit',
+                processorOptions: { channels: this.channels }
+            });
+            this.captureNode.port.onmessage = (e) => this.addSamples(e.data);
+        } else {
+            // Older browsers: ScriptProcessorNode
+            this.captureNode = this.audioContext.createScriptProcessor(4096, this.channels, this.channels);
+            this.captureNode.onaudioprocess = (e) => {
+                if (this.state !== 'recording') return;
+                const channels = [];
+                for (let i = 0; i < this.channels; i++) {
+                    channels.push(e.inputBuffer.getChannelData(i).slice());
+                }
+                this.addSamples(channels);
+            };
+        }
+
+        // Capture nodes only run when connected to the speakers, so connect through silence
+        this.silentOutput = this.audioContext.createGain();
+        this.silentOutput.gain.value = 0;
+        this.captureNode.connect(this.silentOutput);
+        this.silentOutput.connect(this.audioContext.destination);
+
+        this.outputManager.masterGain.connect(this.captureNode);
+    }
+
+    /**
+     * Start a new recording (clears any previous one)
+     */
+    async start() {
+        if (this.state !== 'inactive') return;
+
+        await this.setup();
+        if (this.state !== 'inactive') return;
+
+        this.chunks = Array.from({ length: this.channels }, () => []);
+        this.sampleCount = 0;
+
+        if (this.compressed) {
+            this.startMediaRecorder();
+        }
+
+        this.setRecording(true);
+        this.state = 'recording';
+        this.dispatchEvent(new CustomEvent('start'));
+        console.log('⏺️ Recording started');
+    }
+
+    /**
+     * Pause recording (resume() continues the same file)
+     */
+    pause() {
+        if (this.state !== 'recording') return;
+
+        this.setRecording(false);
+        if (this.mediaRecorder) {
+            this.mediaRecorder.pause();
+        }
+
+        this.state = 'paused';
+        this.dispatchEvent(new CustomEvent('pause'));
+    }
+
+    /**
+     * Resume a paused recording
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+
+        this.setRecording(true);
+        if (this.mediaRecorder) {
+            this.mediaRecorder.resume();
+        }
+
+        this.state = 'recording';
+        this.dispatchEvent(new CustomEvent('resume'));
+    }
+
+    /**
+     * Stop recording
+     *
+     * @returns {Promise<object>} { wav, compressed, duration } - Blobs, duration in seconds
+     */
+    async stop() {
+        if (this.state === 'inactive') return null;
+
+        this.setRecording(false);
+        this.state = 'inactive';
+
+        const compressed = await this.stopMediaRecorder();
+        const wav = this.exportWAV();
+        const duration = this.getDuration();
+
+        this.dispatchEvent(new CustomEvent('stop', { detail: { wav, compressed, duration } }));
+        console.log(`⏹️ Recording stopped (${duration.toFixed(1)}s)`);
+
+        return { wav, compressed, duration };
+    }
+
+    /**
+     * Length of the recording so far, in seconds
+     */
+    getDuration() {
+        return this.sampleCount / this.audioContext.sampleRate;
+    }
+
+    /**
+     * Encode everything recorded so far as a 16-bit PCM WAV file
+     *
+     * @returns {Blob} audio/wav
+     */
+    exportWAV() {
+        const channels = this.chunks.map(chunks => mergeChunks(chunks, this.sampleCount));
+        return encodeWAV(channels, this.audioContext.sampleRate);
+    }
+
+    /**
+     * Save a recording to the user's downloads
+     *
+     * @param {Blob} blob - From stop() or exportWAV()
+     * @param {string} filename - Default: 'recording-<date>.wav' / '.webm'
+     */
+    download(blob, filename) {
+        if (!filename) {
+            const extension = blob.type.includes('wav') ? 'wav' : (blob.type.includes('ogg') ? 'ogg' : 'webm');
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            filename = `recording-${stamp}.${extension}`;
+        }
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Tell the capture node whether to keep samples
+     */
+    setRecording(recording) {
+        if (this.captureNode && this.captureNode.port) {
+            this.captureNode.port.postMessage({ recording });
+        }
+    }
+
+    /**
+     * Store a block of samples (one Float32Array per channel)
+     */
+    addSamples(channels) {
+        if (this.state !== 'recording') return;
+
+        for (let i = 0; i < this.channels; i++) {
+            // Mono input into a stereo recording: copy the first channel
+            this.chunks[i].push(channels[i] || channels[0]);
+        }
+        this.sampleCount += channels[0].length;
+    }
+
+    /**
+     * Record the master output with MediaRecorder too (browser's default codec)
+     */
+    startMediaRecorder() {
+        if (typeof MediaRecorder === 'undefined') {
+            console.warn('MediaRecorder not supported - recording WAV only');
+            return;
+        }
+
+        this.mediaStream = this.audioContext.createMediaStreamDestination();
+        this.outputManager.masterGain.connect(this.mediaStream);
+
+        this.mediaChunks = [];
+        this.mediaRecorder = new MediaRecorder(this.mediaStream.stream);
+        this.mediaRecorder.ondataavailable = (e) => {
+            if (e.data.size > 0) {
+                this.mediaChunks.push(e.data);
+            }
+        };
+        this.mediaRecorder.start();
+    }
+
+    /**
+     * @returns {Promise<Blob|null>} The compressed recording
+     */
+    stopMediaRecorder() {
+        const mediaRecorder = this.mediaRecorder;
+        const mediaStream = this.mediaStream;
+        if (!mediaRecorder) return Promise.resolve(null);
+
+        this.mediaRecorder = null;
+        this.mediaStream = null;
+
+        return new Promise(resolve => {
+            mediaRecorder.onstop = () => {
+                this.outputManager.masterGain.disconnect(mediaStream);
+                resolve(new Blob(this.mediaChunks, { type: mediaRecorder.mimeType }));
+            };
+            mediaRecorder.stop();
+        });
+    }
+}
+
+/**
+ * Join recorded blocks into one Float32Array
+ */
+function mergeChunks(chunks, length) {
+    const result = new Float32Array(length);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+/**
+ * Encode channels of float samples (-1 to 1) as a 16-bit PCM WAV file
+ */
+function encodeWAV(channels, sampleRate) {
+    const numChannels = channels.length;
+    const length = channels[0] ? channels[0].length : 0;
+    const bytesPerSample = 2;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    // Format chunk
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);               // Chunk size
+    view.setUint16(20, 1, true);                // PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+
+    // Data chunk (samples interleaved L R L R ...)
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let i = 0; i < length; i++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            const sample = clamp(channels[channel][i], -1, 1);
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+// Make available globally
+window.Recorder = Recorder;
@@ -11,15 +11,17 @@ class ToneEngine {
         this.synth = null;
         this.drumSampler = null;
         this.currentSynth = null;
+        this.destination = null;
     }
 
     /**
      * Initialize Tone.js
      * MUST be called after a user interaction (click, key press, etc.)
      * 
+     * @param {AudioNode} destination - Node to connect to (default: speakers)
      * @returns {Promise<void>}
      */
-    async init() {
+    async init(destination = null) {
         if (this.started) {
             console.log('Tone.js already started');
             return;
@@ -29,6 +31,7 @@ class ToneEngine {
             await Tone.start();
             console.log('🎵 Tone.js audio context started');
             this.started = true;
+            this.destination = destination;
 
             // Create default synth (polyphonic - can play multiple notes)
             this.synth = new Tone.PolySynth(Tone.Synth, {
@@ -41,7 +44,8 @@ class ToneEngine {
                     sustain: 0.3,
                     release: 0.5
                 }
-            }).toDestination();
+            });
+            this.connectOutput(this.synth, destination);
 
             this.currentSynth = this.synth;
 
@@ -57,7 +61,8 @@ class ToneEngine {
                     B1: "tom3.wav",
                 },
                 baseUrl: "https://tonejs.github.io/audio/drum-samples/CR78/",
-            }).toDestination();
+            });
+            this.connectOutput(this.drumSampler, destination);
 
             console.log('✅ ToneEngine ready!');
         } catch (error) {
@@ -66,14 +71,26 @@ class ToneEngine {
         }
     }
 
+    /**
+     * Connect a Tone.js node to the destination, or straight to the speakers
+     */
+    connectOutput(node, destination = this.destination) {
+        if (destination) {
+            node.connect(destination);
+        } else {
+            node.toDestination();
+        }
+    }
+
     /**
      * Play a note
      * 
      * @param {number|string} note - MIDI number (60) or note name ("C4")
      * @param {number} duration - Note length in seconds (default: 0.5)
      * @param {number} velocity - Volume 0-1 (default: 0.7)
+     * @param {number} time - AudioContext time to start at (default: now)
      */
-    playNote(note, duration = 0.5, velocity = 0.7) {
+    playNote(note, duration = 0.5, velocity = 0.7, time) {
         if (!this.started) {
             console.error('⚠️ ToneEngine not started! Call init() first.');
             return;
@@ -84,7 +101,7 @@ class ToneEngine {
             ? Tone.Frequency(note, 'midi').toNote()
             : note;
 
-        this.currentSynth.triggerAttackRelease(noteName, duration, undefined, velocity);
+        this.currentSynth.triggerAttackRelease(noteName, duration, time, velocity);
     }
 
     /**
@@ -126,17 +143,21 @@ class ToneEngine {
      * 
      * @param {number} drumIndex - Drum index 0-6 (kick, snare, hihat, clap, tom1, tom2, tom3)
      * @param {number} velocity - Volume 0-1
+     * @param {number} time - AudioContext time to start at (default: now)
+     * @returns {boolean} Whether there's a sample for it (AudioOutputManager falls back otherwise)
      */
-    playDrum(drumIndex, velocity = 0.7) {
+    playDrum(drumIndex, velocity = 0.7, time) {
         if (!this.started || !this.drumSampler) {
             console.error('⚠️ Drums not loaded!');
-            return;
+            return false;
         }
 
         const drums = ['C1', 'D1', 'E1', 'F1', 'G1', 'A1', 'B1'];
         if (drumIndex >= 0 && drumIndex < drums.length) {
-            this.drumSampler.triggerAttackRelease(drums[drumIndex], '8n', undefined, velocity);
+            this.drumSampler.triggerAttackRelease(drums[drumIndex], '8n', time, velocity);
+            return true;
         }
+        return false;
     }
 
     /**
@@ -152,6 +173,19 @@ class ToneEngine {
         }
     }
 
+    /**
+     * Change the synth envelope
+     * 
+     * @param {object} adsr - { attack, decay, sustain, release } (any subset)
+     */
+    setADSR(adsr) {
+        if (this.synth) {
+            this.synth.set({
+                envelope: adsr
+            });
+        }
+    }
+
     /**
      * Create a theremin-style continuous synth
      * Returns an object with start/stop/setFrequency/setVolume methods
@@ -169,7 +203,8 @@ class ToneEngine {
                 sustain: 1,
                 release: 0.5
             }
-        }).toDestination();
+        });
+        this.connectOutput(theremin);
 
         return {
             start: (freq = 440) => {
@@ -197,14 +232,15 @@ class ToneEngine {
     }
 
     /**
-     * Get BPM (beats per minute) - useful for sequencers
+     * Get BPM (beats per minute) of Tone's Transport
+     * (the sandbox's sequencers use Transport in js/audio/transport.js)
      */
     getBPM() {
         return Tone.Transport.bpm.value;
     }
 
     /**
-     * Set BPM
+     * Set BPM of Tone's Transport
      */
     setBPM(bpm) {
         Tone.Transport.bpm.value = bpm;
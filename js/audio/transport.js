@@ -0,0 +1,208 @@
+/**
+ * Musical Instrument Sandbox - Transport
+ *
+ * Sample-accurate step clock for sequencers.
+ *
+ * setInterval alone drifts and jitters, so the Transport uses look-ahead
+ * scheduling: a timer wakes up every few milliseconds and schedules any steps
+ * that fall within the next ~100ms on the AudioContext clock. Notes are played
+ * at their exact audio time, and the UI is updated on the animation frame when
+ * that time is actually heard.
+ *
+ * An EXTERNAL clock (e.g. MidiClock following MIDI clock from another
+ * device) can drive the steps instead: setExternalClock(true), then call
+ * clockStep(time) for every step. start() and stop() work the same.
+ *
+ * Events:
+ * - 'schedule' → { step, time }  Fired AHEAD of time - schedule audio here
+ * - 'step'     → { step, time }  Fired when the step is heard - update UI here
+ * - 'start' / 'stop'
+ *
+ * USAGE:
+ *   const transport = new Transport(audioContext, { bpm: 120, steps: 16 });
+ *   transport.addEventListener('schedule', (e) => {
+ *       outputManager.playNote(60, 0.1, 0.7, e.detail.time);
+ *   });
+ *   transport.addEventListener('step', (e) => {
+ *       highlightColumn(e.detail.step);
+ *   });
+ *   transport.start();
+ */
+
+class Transport extends EventTarget {
+    constructor(audioContext, config = {}) {
+        super();
+        this.audioContext = audioContext;
+
+        this.bpm = config.bpm || 120;
+        this.stepsPerBeat = config.stepsPerBeat || 4;          // 4 = 16th notes
+        this.steps = config.steps || 16;                       // Loop length in steps
+        this.lookAhead = config.lookAhead || 25;               // How often the scheduler runs (ms)
+        this.scheduleAheadTime = config.scheduleAheadTime || 0.1; // How far ahead to schedule (s)
+
+        this.isPlaying = false;
+        this.external = false;     // true = steps come from clockStep(), not the timer
+        this.currentStep = 0;      // Next step to be scheduled
+        this.nextStepTime = 0;     // Audio time of the next step
+
+        this.timerId = null;
+        this.animationFrame = null;
+        this.drawQueue = [];       // Scheduled steps waiting to be drawn
+    }
+
+    /**
+     * Length of one step in seconds
+     */
+    getStepDuration() {
+        return 60 / this.bpm / this.stepsPerBeat;
+    }
+
+    /**
+     * Start playback
+     *
+     * @param {number} fromStep - Step to start from (default: 0)
+     */
+    start(fromStep = 0) {
+        if (this.isPlaying) return;
+
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        this.isPlaying = true;
+        this.currentStep = fromStep % this.steps;
+        // Small offset so the first step isn't already in the past
+        this.nextStepTime = this.audioContext.currentTime + 0.05;
+
+        // Before the first 'schedule', so listeners can send a start message first
+        this.dispatchEvent(new CustomEvent('start', {
+            detail: { step: this.currentStep, time: this.nextStepTime }
+        }));
+
+        if (!this.external) {
+            this.timerId = setInterval(() => this.scheduler(), this.lookAhead);
+            this.scheduler();
+        }
+        this.animationFrame = requestAnimationFrame(() => this.draw());
+    }
+
+    /**
+     * Stop playback
+     */
+    stop() {
+        if (!this.isPlaying) return;
+        this.isPlaying = false;
+
+        clearInterval(this.timerId);
+        cancelAnimationFrame(this.animationFrame);
+        this.timerId = null;
+        this.animationFrame = null;
+        this.drawQueue = [];
+
+        this.dispatchEvent(new CustomEvent('stop', {
+            detail: { time: this.audioContext.currentTime }
+        }));
+    }
+
+    /**
+     * Change tempo (takes effect from the next step - no restart needed)
+     */
+    setBPM(bpm) {
+        this.bpm = bpm;
+    }
+
+    /**
+     * Get tempo
+     */
+    getBPM() {
+        return this.bpm;
+    }
+
+    /**
+     * Let an external clock drive the steps (see clockStep)
+     *
+     * @param {boolean} enabled
+     */
+    setExternalClock(enabled) {
+        const wasPlaying = this.isPlaying;
+        if (wasPlaying) this.stop();
+
+        this.external = enabled;
+
+        if (wasPlaying) this.start(this.currentStep);
+    }
+
+    /**
+     * Play the next step at an AudioContext time (external clock only)
+     */
+    clockStep(time = this.audioContext.currentTime) {
+        if (!this.isPlaying || !this.external) return;
+
+        this.scheduleStep(this.currentStep, time);
+        this.currentStep = (this.currentStep + 1) % this.steps;
+    }
+
+    /**
+     * Change loop length in steps
+     */
+    setSteps(steps) {
+        this.steps = steps;
+        this.currentStep = this.currentStep % steps;
+    }
+
+    /**
+     * Schedule every step that starts before currentTime + scheduleAheadTime
+     */
+    scheduler() {
+        const now = this.audioContext.currentTime;
+        const horizon = now + this.scheduleAheadTime;
+
+        // Fell behind (throttled tab, stalled timer): skip the missed steps
+        // instead of playing them all at once
+        if (this.nextStepTime < now) {
+            const missed = Math.ceil((now - this.nextStepTime) / this.getStepDuration());
+            this.nextStepTime += missed * this.getStepDuration();
+            this.currentStep = (this.currentStep + missed) % this.steps;
+        }
+
+        while (this.isPlaying && this.nextStepTime < horizon) {
+            this.scheduleStep(this.currentStep, this.nextStepTime);
+            this.advance();
+        }
+    }
+
+    /**
+     * Tell listeners to schedule audio, and queue the step for drawing
+     */
+    scheduleStep(step, time) {
+        this.dispatchEvent(new CustomEvent('schedule', { detail: { step, time } }));
+        this.drawQueue.push({ step, time });
+    }
+
+    /**
+     * Move to the next step
+     */
+    advance() {
+        this.nextStepTime += this.getStepDuration();
+        this.currentStep = (this.currentStep + 1) % this.steps;
+    }
+
+    /**
+     * Animation loop: fire 'step' once each scheduled step is heard
+     */
+    draw() {
+        if (!this.isPlaying) return;
+
+        const now = this.audioContext.currentTime;
+
+        while (this.drawQueue.length > 0 && this.drawQueue[0].time <= now) {
+            const { step, time } = this.drawQueue.shift();
+            this.dispatchEvent(new CustomEvent('step', { detail: { step, time } }));
+        }
+
+        this.animationFrame = requestAnimationFrame(() => this.draw());
+    }
+}
+
+// Make available globally
+window.Transport = Transport;
@@ -3,85 +3,206 @@
  * 
  * Uses WebAudioFont library for realistic instrument sounds.
  * Based on the soundfont pattern from the DNA Music project.
+ * 
+ * Instruments are listed in WEBAUDIOFONT_CATALOG by General MIDI program
+ * number and lazy-loaded from audio/soundfonts/ the first time they're used,
+ * so pages don't need a <script> tag per soundfont.
+ * 
+ * USAGE:
+ *   const engine = new WebAudioFontEngine(audioContext);   // or (audioContext, destinationNode)
+ *   await engine.loadInstrument('organ');   // by catalog id
+ *   await engine.loadInstrument(53);        // or by GM program number
  */
 
+// Soundfont files live in audio/soundfonts/, two folders up from this script
+const SOUNDFONT_BASE_URL = new URL(
+    '../../audio/soundfonts/',
+    document.currentScript ? document.currentScript.src : window.location.href
+).href;
+
+// General MIDI program (0-127) -> bundled soundfont file
+// To add an instrument: copy its file into audio/soundfonts/ and add a line here
+const WEBAUDIOFONT_CATALOG = [
+    {
+        id: 'vibes',
+        program: 11,
+        name: 'Vibraphone',
+        file: '0110_Aspirin_sf2_file.js',
+        envelope: { duration: 1.5, volume: 0.7 }
+    },
+    {
+        id: 'organ',
+        program: 16,
+        name: 'Drawbar Organ',
+        file: '0161_SoundBlasterOld_sf2.js',
+        envelope: { duration: 0.7, volume: 0.8 }
+    },
+    {
+        id: 'choir',
+        program: 53,
+        name: 'Voice Oohs (Choir)',
+        file: '0530_Aspirin_sf2_file.js',
+        envelope: { duration: 1.0, volume: 0.7 }
+    }
+];
+
 class WebAudioFontEngine {
-    constructor(audioContext) {
+    constructor(audioContext, destination) {
         this.audioContext = audioContext;
+        this.destination = destination || audioContext.destination;
         this.player = new WebAudioFontPlayer();
         this.currentInstrument = null;
         this.currentPreset = null;
         
-        // Available instruments (will be loaded from actual soundfont files)
-        this.instruments = {
-            organ: null,    // _tone_0161_SoundBlasterOld_sf2
-            choir: null,    // _tone_0530_Aspirin_sf2_file
-            vibes: null     // _tone_0110_Aspirin_sf2_file
-        };
+        // How long to wait for a soundfont to decode before giving up (ms)
+        this.loadTimeout = 30000;
+
+        // Soundfont <script> tags being loaded: preset variable -> Promise
+        this.scriptLoads = new Map();
         
-        this.envelopes = {};
+        // Sustained notes: MIDI note -> { envelope, when, pitch } (envelope from queueWaveTable)
+        this.activeNotes = new Map();
+        
+        // Release tail (seconds) when a sustained note is let go
+        this.releaseTime = 0.3;
+        
+        // Attack/decay/sustain for sustained notes (0/0/1 = the instrument's own envelope)
+        this.adsr = { attack: 0, decay: 0, sustain: 1 };
+        
+        // Peak level of the current instrument (from its catalog envelope)
+        this.volume = 0.8;
     }
 
     /**
-     * Load a specific instrument
+     * Get the instrument catalog
+     * 
+     * @returns {Array<object>} [{ id, program, name, file, envelope }]
      */
-    async loadInstrument(name) {
+    static getCatalog() {
+        return WEBAUDIOFONT_CATALOG;
+    }
+
+    /**
+     * Find a catalog entry by id ('organ') or GM program number (16 or '16')
+     */
+    static findInstrument(nameOrProgram) {
+        const program = parseInt(nameOrProgram, 10);
+
+        return WEBAUDIOFONT_CATALOG.find(entry =>
+            entry.id === nameOrProgram || entry.program === program
+        ) || null;
+    }
+
+    /**
+     * Load a specific instrument (downloads the soundfont on first use)
+     * 
+     * @param {string|number} name - Catalog id or GM program number
+     * @param {function} onProgress - Called with loading progress 0-1
+     */
+    async loadInstrument(name, onProgress = () => {}) {
         console.log(`🎹 Loading instrument: ${name}`);
 
-        if (!this.instruments.hasOwnProperty(name)) {
-            throw new Error(`Unknown instrument: ${name}. Available: organ, choir, flute`);
+        const entry = WebAudioFontEngine.findInstrument(name);
+        if (!entry) {
+            const available = WEBAUDIOFONT_CATALOG.map(e => e.id).join(', ');
+            throw new Error(`Unknown instrument: ${name}. Available: ${available}`);
         }
 
-        // Check if soundfont is loaded
-        const presetVar = this.getPresetVariable(name);
-        console.log(`   Looking for global variable: ${presetVar}`);
-        
-        if (typeof window[presetVar] === 'undefined') {
-            console.error(`❌ Variable ${presetVar} not found in window object`);
-            console.log('Available soundfont variables:', 
-                Object.keys(window).filter(k => k.includes('_tone_')));
-            throw new Error(`Soundfont not loaded for ${name}. Variable "${presetVar}" not found. Please include the soundfont script.`);
-        }
+        const preset = await this.loadSoundfont(entry, onProgress);
 
-        this.currentInstrument = name;
-        this.currentPreset = window[presetVar];
+        this.currentInstrument = entry.id;
+        this.currentPreset = preset;
         
         console.log(`   Preset has ${this.currentPreset.zones.length} zones`);
         
-        // Adjust preset for WebAudioFont
-        this.player.adjustPreset(this.audioContext, this.currentPreset);
-        
         // Set envelope
-        this.setEnvelope(name);
+        this.setEnvelope(entry);
 
-        console.log(`✅ Instrument loaded: ${name}`);
+        console.log(`✅ Instrument loaded: ${entry.name}`);
     }
 
     /**
-     * Get the global variable name for a preset
+     * Load and decode a catalog entry's soundfont file
+     * Resolves with the preset once every zone has an audio buffer.
      */
-    getPresetVariable(name) {
-        // These match the variable names in the soundfont files
-        const presetMap = {
-            organ: '_tone_0161_SoundBlasterOld_sf2',
-            choir: '_tone_0530_Aspirin_sf2_file',
-            vibes: '_tone_0110_Aspirin_sf2_file'
-        };
-        
-        return presetMap[name];
+    async loadSoundfont(entry, onProgress) {
+        const presetVar = this.getPresetVariable(entry);
+
+        // Not included with a <script> tag or loaded earlier. The script tag is
+        // ours, not WebAudioFontLoader's: it polls forever for a missing file.
+        if (!window[presetVar]) {
+            console.log(`   Fetching ${entry.file}...`);
+            onProgress(0);
+            await this.loadScript(entry, presetVar);
+        }
+
+        const preset = window[presetVar];
+        if (!preset) {
+            throw new Error(`Soundfont ${entry.file} has no ${presetVar}`);
+        }
+        this.player.adjustPreset(this.audioContext, preset);
+
+        // Zones decode asynchronously
+        return new Promise((resolve, reject) => {
+            const startTime = Date.now();
+
+            const check = () => {
+                const decoded = preset.zones.filter(zone => zone.buffer).length;
+                onProgress(decoded / preset.zones.length);
+
+                if (this.player.loader.loaded(presetVar)) {
+                    resolve(preset);
+                    return;
+                }
+
+                if (Date.now() - startTime > this.loadTimeout) {
+                    reject(new Error(`Timed out decoding soundfont ${entry.file}`));
+                    return;
+                }
+
+                setTimeout(check, 100);
+            };
+
+            check();
+        });
     }
 
     /**
-     * Set envelope for instrument
+     * Add a soundfont's <script> tag (once, even if loaded twice at the same time)
+     */
+    loadScript(entry, presetVar) {
+        if (!this.scriptLoads.has(presetVar)) {
+            const load = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = SOUNDFONT_BASE_URL + entry.file;
+                script.addEventListener('load', resolve);
+                script.addEventListener('error', () => {
+                    // Let a later load try again
+                    script.remove();
+                    this.scriptLoads.delete(presetVar);
+                    reject(new Error(`Could not load soundfont ${entry.file} (is it in audio/soundfonts/?)`));
+                });
+                document.head.appendChild(script);
+            });
+            this.scriptLoads.set(presetVar, load);
+        }
+        return this.scriptLoads.get(presetVar);
+    }
+
+    /**
+     * Get the global variable name for a catalog entry
+     * (matches the variable name inside the soundfont file)
      */
-    setEnvelope(name) {
-        const envelopes = {
-            organ: { duration: 0.7, volume: 0.8 },
-            choir: { duration: 1.0, volume: 0.7 },
-            vibes: { duration: 1.5, volume: 0.7 }
-        };
+    getPresetVariable(entry) {
+        return '_tone_' + entry.file.replace(/\.js$/, '');
+    }
 
-        const envelope = envelopes[name] || { duration: 0.7, volume: 0.8 };
+    /**
+     * Set envelope for instrument
+     */
+    setEnvelope(entry) {
+        const envelope = entry.envelope || { duration: 0.7, volume: 0.8 };
+        this.volume = envelope.volume;
 
         // Apply envelope to all zones
         if (this.currentPreset && this.currentPreset.zones) {
@@ -96,8 +217,10 @@ class WebAudioFontEngine {
 
     /**
      * Play a note
+     * 
+     * @param {number} time - AudioContext time to start at (default: now)
      */
-    playNote(note, duration, velocity) {
+    playNote(note, duration, velocity, time = this.audioContext.currentTime) {
         if (!this.currentPreset) {
             console.error('No instrument loaded!');
             return;
@@ -105,9 +228,9 @@ class WebAudioFontEngine {
 
         this.player.queueWaveTable(
             this.audioContext,
-            this.audioContext.destination,
+            this.destination,
             this.currentPreset,
-            this.audioContext.currentTime,
+            time,
             note,
             duration,
             velocity
@@ -115,39 +238,141 @@ class WebAudioFontEngine {
     }
 
     /**
-     * Trigger note (sustain)
+     * Trigger note (sustain until releaseNote is called)
      */
-    triggerNote(note, velocity) {
+    triggerNote(note, velocity = 0.7) {
         if (!this.currentPreset) {
             console.error('No instrument loaded!');
             return;
         }
 
-        this.player.queueWaveTable(
+        // Retriggering the same note releases the previous one first
+        if (this.activeNotes.has(note)) {
+            this.releaseNote(note);
+        }
+
+        const envelope = this.player.queueWaveTable(
             this.audioContext,
-            this.audioContext.destination,
+            this.destination,
             this.currentPreset,
             this.audioContext.currentTime,
             note,
-            9999, // Very long duration (effectively sustained)
+            9999, // Very long duration (effectively sustained until released)
             velocity
         );
+
+        if (envelope) {
+            this.applyADSR(envelope, this.audioContext.currentTime, velocity);
+            this.activeNotes.set(note, { envelope, when: envelope.when, pitch: envelope.pitch });
+        }
     }
 
     /**
-     * Release note
+     * Release note (fade out over releaseTime)
      */
     releaseNote(note) {
-        // WebAudioFont doesn't have a built-in note-off
-        // Notes will naturally decay based on their envelope
+        const active = this.activeNotes.get(note);
+        if (!active) return;
+
+        this.activeNotes.delete(note);
+
+        // WebAudioFont reuses an envelope once its sample has played out (short,
+        // non-looping samples end early), so it may belong to a newer note by now
+        const { envelope } = active;
+        if (envelope.when !== active.when || envelope.pitch !== active.pitch) return;
+
+        this.releaseEnvelope(envelope, this.releaseTime);
     }
 
     /**
-     * Stop all sounds
+     * Set the release tail for sustained notes
+     * 
+     * @param {number} seconds - Fade out time after releaseNote
+     */
+    setReleaseTime(seconds) {
+        this.releaseTime = Math.max(0.01, seconds);
+    }
+
+    /**
+     * Set the envelope for sustained notes
+     * 
+     * @param {object} adsr - { attack, decay, sustain, release } (any subset, seconds / sustain 0-1)
+     */
+    setADSR(adsr) {
+        ['attack', 'decay', 'sustain'].forEach(param => {
+            if (adsr[param] !== undefined) {
+                this.adsr[param] = adsr[param];
+            }
+        });
+
+        if (adsr.release !== undefined) {
+            this.setReleaseTime(adsr.release);
+        }
+    }
+
+    /**
+     * Shape a freshly queued envelope with the attack/decay/sustain settings
+     */
+    applyADSR(envelope, time, velocity) {
+        const { attack, decay, sustain } = this.adsr;
+
+        // Default settings keep the soundfont's natural envelope
+        if (attack <= 0 && sustain >= 1) return;
+
+        const peak = Math.max(0.00001, velocity * this.volume);
+
+        envelope.gain.cancelScheduledValues(time);
+        envelope.gain.setValueAtTime(attack > 0 ? 0.00001 : peak, time);
+
+        if (attack > 0) {
+            envelope.gain.linearRampToValueAtTime(peak, time + attack);
+        }
+        if (sustain < 1) {
+            envelope.gain.setTargetAtTime(
+                Math.max(0.00001, peak * sustain),
+                time + attack,
+                Math.max(0.001, decay) / 3
+            );
+        }
+    }
+
+    /**
+     * Fade out a queued envelope and stop its sample
+     */
+    releaseEnvelope(envelope, releaseTime) {
+        const now = this.audioContext.currentTime;
+
+        // Already finished (WebAudioFont recycles envelopes once they are done)
+        if (envelope.when + envelope.duration <= now) return;
+
+        // Ramp from the current level so the release doesn't click
+        envelope.gain.cancelScheduledValues(now);
+        envelope.gain.setValueAtTime(envelope.gain.value, now);
+        envelope.gain.setTargetAtTime(0.00001, now, releaseTime / 5);
+
+        if (envelope.audioBufferSourceNode) {
+            try {
+                envelope.audioBufferSourceNode.stop(now + releaseTime);
+            } catch (error) {
+                // Source already stopped
+            }
+        }
+
+        // Mark the envelope free for reuse once the tail has finished
+        envelope.when = now;
+        envelope.duration = releaseTime;
+    }
+
+    /**
+     * Stop all sounds (sustained and one-shot notes)
      */
     stopAll() {
-        // WebAudioFont doesn't provide a stopAll method
-        // Notes will naturally decay
+        this.activeNotes.clear();
+
+        // The player keeps every envelope it has ever queued
+        this.player.envelopes.forEach(envelope => {
+            this.releaseEnvelope(envelope, 0.05);
+        });
     }
 }
 
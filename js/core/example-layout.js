@@ -3,6 +3,12 @@
  * 
  * Provides common layout structure for all examples.
  * Call createExampleLayout() to setup the wrapper with minimal code.
+ *
+ * The keyboard helper is drawn by renderKeyboardHelper(), so load
+ * js/input/keyboard.js, js/ui/keyboard-layout-editor.js and
+ * css/keyboard-layout-editor.css first. Pass config.inputManager and the
+ * helper follows whichever layout is active (piano, isomorphic grids,
+ * your own), with the note on every key.
  */
 
 /**
@@ -14,6 +20,9 @@
  * @param {Array<Object>} config.inputButtons - Array of input button configs
  *   Example: [{ id: 'mouse', label: 'Mouse', active: true }, { id: 'keyboard', label: 'Keyboard' }]
  * @param {boolean} config.showKeyboardHelper - Whether to show keyboard helper (default: false)
+ * @param {string|Object} config.keyboardLayout - Layout the helper shows (default: 'piano')
+ * @param {InputManager} config.inputManager - Redraw the helper when its keyboard layout,
+ *                                             octave or transpose changes
  * @param {string} config.instructions - Initial instruction text
  * 
  * @returns {Object} - Object with references to key elements
@@ -29,6 +38,8 @@ function createExampleLayout(config = {}) {
             { id: 'mediapipe', label: 'Hand Tracking' }
         ],
         showKeyboardHelper = false,
+        keyboardLayout = 'piano',
+        inputManager = null,
         instructions = 'Click to start'
     } = config;
 
@@ -98,46 +109,21 @@ function createExampleLayout(config = {}) {
     const keyboardHelper = document.createElement('div');
     keyboardHelper.className = 'keyboard-helper' + (showKeyboardHelper ? ' show' : '');
     keyboardHelper.id = 'keyboardHelper';
-    keyboardHelper.innerHTML = `
-        <p>Keyboard Layout:</p>
-        <div class="key-row">
-            <div class="key">2</div>
-            <div class="key">3</div>
-            <div class="key" style="opacity: 0.3">-</div>
-            <div class="key">5</div>
-            <div class="key">6</div>
-            <div class="key">7</div>
-        </div>
-        <div class="key-row">
-            <div class="key">Q</div>
-            <div class="key">W</div>
-            <div class="key">E</div>
-            <div class="key">R</div>
-            <div class="key">T</div>
-            <div class="key">Y</div>
-            <div class="key">U</div>
-            <div class="key">I</div>
-        </div>
-        <div style="height: 5px"></div>
-        <div class="key-row">
-            <div class="key">S</div>
-            <div class="key">D</div>
-            <div class="key" style="opacity: 0.3">-</div>
-            <div class="key">G</div>
-            <div class="key">H</div>
-            <div class="key">J</div>
-        </div>
-        <div class="key-row">
-            <div class="key">Z</div>
-            <div class="key">X</div>
-            <div class="key">C</div>
-            <div class="key">V</div>
-            <div class="key">B</div>
-            <div class="key">N</div>
-            <div class="key">M</div>
-            <div class="key">,</div>
-        </div>
-    `;
+
+    // Drawn by js/ui/keyboard-layout-editor.js - pages without it get an empty helper
+    const canRenderHelper = typeof renderKeyboardHelper === 'function';
+    if (canRenderHelper) {
+        renderKeyboardHelper(keyboardHelper, keyboardLayout);
+    }
+
+    if (inputManager && canRenderHelper) {
+        inputManager.addEventListener('keyboard-change', () => {
+            const keyboard = inputManager.inputModules.keyboard;
+            if (keyboard) {
+                renderKeyboardHelper(keyboardHelper, keyboard);
+            }
+        });
+    }
 
     // Assemble
     wrapper.appendChild(startWrapper);
@@ -153,6 +139,7 @@ function createExampleLayout(config = {}) {
     return {
         wrapper,
         startWrapper,
+        topBar,             // Append extra controls here, e.g. createRecorderControls(recorder)
         startButton: document.getElementById('start-button'),
         inputButtons: document.querySelectorAll('.input-button'),
         noteBox: document.getElementById('noteBox'),
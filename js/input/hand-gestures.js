@@ -0,0 +1,215 @@
+/**
+ * Musical Instrument Sandbox - Hand Gestures
+ *
+ * Recognises gestures from MediaPipeInput's hand landmarks. MediaPipeInput
+ * runs it on every hand, every frame, and sends what it finds as 'gesture'
+ * events through InputManager:
+ *
+ * - 'pinch'          → phase 'start' / 'end' - thumb and index tips touch
+ * - 'pinch-distance' → { distance } every frame, 0 (touching) to 1 (wide open)
+ * - 'fist'           → phase 'start' / 'end'
+ * - 'open-palm'      → phase 'start' / 'end' - all five fingers out
+ * - 'point'          → phase 'start' / 'end' - only the index finger out
+ * - 'finger-count'   → { count } when the number of fingers held up changes
+ * - 'swipe'          → { direction: 'left' | 'right' | 'up' | 'down', speed }
+ *
+ * Every gesture event also has { hand, role, x, y } (like the 'hand' event).
+ * Poses must be held for a few frames before they start, so a hand passing
+ * through a fist on its way to a point doesn't fire both.
+ *
+ * USAGE:
+ *   await inputManager.enableInput('mediapipe', { gestures: { swipeDistance: 0.3 } });
+ *   inputManager.addEventListener('gesture', (e) => {
+ *       const { gesture, phase, direction, count } = e.detail;
+ *       if (gesture === 'fist') setSustain(phase === 'start');
+ *       if (gesture === 'swipe' && direction === 'up') octave++;
+ *       if (gesture === 'finger-count') playChord(count);
+ *       if (gesture === 'open-palm' && phase === 'start') transport.start();
+ *   });
+ */
+
+class HandGestures {
+    /**
+     * @param {object} config
+     * @param {number} config.pinchStart - Pinch starts below this distance (default: 0.25)
+     * @param {number} config.pinchEnd - Pinch ends above this distance (default: 0.4)
+     * @param {number} config.holdFrames - Frames a pose must be held (default: 3)
+     * @param {number} config.swipeDistance - Screen fraction to count as a swipe (default: 0.25)
+     * @param {number} config.swipeTime - Within this many ms (default: 300)
+     * @param {number} config.swipeCooldown - Ms before the next swipe (default: 500)
+     */
+    constructor(config = {}) {
+        this.config = {
+            pinchStart: config.pinchStart || 0.25,
+            pinchEnd: config.pinchEnd || 0.4,
+            holdFrames: config.holdFrames || 3,
+            swipeDistance: config.swipeDistance || 0.25,
+            swipeTime: config.swipeTime || 300,
+            swipeCooldown: config.swipeCooldown || 500
+        };
+
+        // Per hand ('left' / 'right'): { pose, candidate, candidateFrames,
+        // pinched, count, countCandidate, countFrames, trail, lastSwipe }
+        this.states = new Map();
+    }
+
+    getState(hand) {
+        if (!this.states.has(hand)) {
+            this.states.set(hand, {
+                pose: null,
+                candidate: null,
+                candidateFrames: 0,
+                pinched: false,
+                count: null,
+                countCandidate: null,
+                countFrames: 0,
+                trail: [],
+                lastSwipe: -Infinity
+            });
+        }
+        return this.states.get(hand);
+    }
+
+    /**
+     * Look at one hand in one frame
+     *
+     * @param {object} hand - A MediaPipeInput 'hand' event detail ({ hand, x, y, fingers, landmarks })
+     * @param {number} time - Frame time in ms (default: now)
+     * @returns {Array<object>} Gestures found: [{ gesture, phase, ... }]
+     */
+    update(hand, time = performance.now()) {
+        const state = this.getState(hand.hand);
+        const gestures = [];
+
+        this.updatePinch(hand, state, gestures);
+        this.updatePose(hand, state, gestures);
+        this.updateCount(hand, state, gestures);
+        this.updateSwipe(hand, state, gestures, time);
+
+        return gestures;
+    }
+
+    /**
+     * Thumb-to-index distance, relative to the size of the hand
+     */
+    getPinchDistance(landmarks) {
+        const thumb = landmarks[4];
+        const index = landmarks[8];
+        const handSize = Math.hypot(landmarks[9].x - landmarks[0].x, landmarks[9].y - landmarks[0].y) || 1;
+        return clamp(Math.hypot(thumb.x - index.x, thumb.y - index.y) / handSize, 0, 1);
+    }
+
+    updatePinch(hand, state, gestures) {
+        const distance = this.getPinchDistance(hand.landmarks);
+        gestures.push({ gesture: 'pinch-distance', distance: distance });
+
+        // Different thresholds in and out, so it doesn't flicker at the edge
+        if (!state.pinched && distance < this.config.pinchStart) {
+            state.pinched = true;
+            gestures.push({ gesture: 'pinch', phase: 'start', distance: distance });
+        } else if (state.pinched && distance > this.config.pinchEnd) {
+            state.pinched = false;
+            gestures.push({ gesture: 'pinch', phase: 'end', distance: distance });
+        }
+    }
+
+    /**
+     * 'fist', 'open-palm', 'point' or null
+     */
+    classifyPose(fingers, pinched) {
+        const extended = Object.keys(fingers).filter(name => fingers[name].extended);
+
+        if (extended.length === 0) return 'fist';
+        if (extended.length === 5 && !pinched) return 'open-palm';
+        if (fingers.index.extended && !fingers.middle.extended && !fingers.ring.extended && !fingers.pinky.extended) {
+            return 'point';
+        }
+        return null;
+    }
+
+    updatePose(hand, state, gestures) {
+        const pose = this.classifyPose(hand.fingers, state.pinched);
+
+        if (pose === state.candidate) {
+            state.candidateFrames++;
+        } else {
+            state.candidate = pose;
+            state.candidateFrames = 1;
+        }
+
+        // Held long enough to count as a new pose
+        if (state.candidateFrames >= this.config.holdFrames && pose !== state.pose) {
+            if (state.pose) {
+                gestures.push({ gesture: state.pose, phase: 'end' });
+            }
+            if (pose) {
+                gestures.push({ gesture: pose, phase: 'start' });
+            }
+            state.pose = pose;
+        }
+    }
+
+    updateCount(hand, state, gestures) {
+        const count = Object.values(hand.fingers).filter(finger => finger.extended).length;
+
+        if (count === state.countCandidate) {
+            state.countFrames++;
+        } else {
+            state.countCandidate = count;
+            state.countFrames = 1;
+        }
+
+        if (state.countFrames >= this.config.holdFrames && count !== state.count) {
+            state.count = count;
+            gestures.push({ gesture: 'finger-count', count: count });
+        }
+    }
+
+    updateSwipe(hand, state, gestures, time) {
+        state.trail.push({ x: hand.x, y: hand.y, time: time });
+        state.trail = state.trail.filter(point => time - point.time <= this.config.swipeTime);
+
+        if (time - state.lastSwipe < this.config.swipeCooldown) return;
+
+        const start = state.trail[0];
+        const dx = hand.x - start.x;
+        const dy = hand.y - start.y;
+        const moved = Math.max(Math.abs(dx), Math.abs(dy));
+        if (moved < this.config.swipeDistance) return;
+
+        const direction = Math.abs(dx) > Math.abs(dy)
+            ? (dx > 0 ? 'right' : 'left')
+            : (dy > 0 ? 'down' : 'up');
+
+        state.lastSwipe = time;
+        state.trail = [];
+        gestures.push({
+            gesture: 'swipe',
+            direction: direction,
+            speed: moved / Math.max(time - start.time, 1) * 1000    // Screens per second
+        });
+    }
+
+    /**
+     * A hand left the picture: end whatever it was doing
+     *
+     * @returns {Array<object>} The 'end' gestures
+     */
+    reset(hand) {
+        const state = this.states.get(hand);
+        this.states.delete(hand);
+        if (!state) return [];
+
+        const gestures = [];
+        if (state.pinched) {
+            gestures.push({ gesture: 'pinch', phase: 'end' });
+        }
+        if (state.pose) {
+            gestures.push({ gesture: state.pose, phase: 'end' });
+        }
+        return gestures;
+    }
+}
+
+// Make available globally
+window.HandGestures = HandGestures;
@@ -8,6 +8,24 @@
  * - 'note-off' → { note, key }
  * - 'continuous' → { x, y, pressure }
  * - 'trigger' → { index, velocity, x, y }
+ * - 'control-change' → { control, value, channel }
+ * 
+ * Mouse, touch and pen (MouseInput) add pointerId and pressure, one stream
+ * per finger, so chords can be played on a tablet. The on-screen piano
+ * ('piano', PianoKeyboard in js/ui) does the same with source: 'piano', and
+ * lights up the notes every other input plays.
+ *
+ * MIDI devices also send 'pitch-bend', 'aftertouch', 'program-change',
+ * 'clock', 'transport' and 'sysex', plus 'device-connected' and
+ * 'device-disconnected' when controllers are plugged in or out (see midi.js).
+ *
+ * The keyboard sends 'keyboard-change' → { layout, octave, transpose, velocity }
+ * when the player switches layout, octave, transpose or velocity level, and
+ * its arrow keys send 'continuous' → { bend, modulation, source: 'keyboard' }
+ * plus MIDI-style 'pitch-bend' and CC 1 'control-change' (see keyboard.js).
+ *
+ * The 'file' input (MidiFileInput) plays a .mid file through these same
+ * events; its notes carry played: true when it already sent them to the output.
  * 
  * USAGE:
  *   const inputManager = new InputManager();
@@ -25,14 +43,16 @@ class InputManager extends EventTarget {
             mouse: null,
             keyboard: null,
             midi: null,
-            mediapipe: null
+            mediapipe: null,
+            file: null,
+            piano: null
         };
     }
 
     /**
      * Enable an input type
      * 
-     * @param {string} type - 'mouse', 'keyboard', 'midi', or 'mediapipe'
+     * @param {string} type - 'mouse', 'keyboard', 'midi', 'mediapipe', 'file' or 'piano'
      * @param {object} config - Input-specific configuration
      * @returns {Promise<boolean>} Success status
      */
@@ -57,6 +77,14 @@ class InputManager extends EventTarget {
                     this.inputModules.mediapipe = await MediaPipeInput.create(this, config);
                     break;
 
+                case 'file':
+                    this.inputModules.file = new MidiFileInput(this, config);
+                    break;
+
+                case 'piano':
+                    this.inputModules.piano = new PianoKeyboard(this, config);
+                    break;
+
                 default:
                     throw new Error(`Unknown input type: ${type}`);
             }
@@ -1,54 +1,258 @@
 /**
  * Musical Instrument Sandbox - Keyboard Input
- * 
+ *
  * Handles computer keyboard input with multiple layout options.
- * 
+ *
  * LAYOUTS:
- * - 'piano': Piano-style keyboard mapping (C3-C5)
+ * - 'piano': Piano-style keyboard mapping (two octaves around baseOctave)
  * - 'drumpad': 4x4 drum pad (0-15)
- * - 'chromatic': Chromatic scale (lower keys)
+ * - 'chromatic': Chromatic scale (middle row)
+ * - Isomorphic grids over the four rows of number, letter and punctuation
+ *   keys, 3+ octaves each - every chord and scale has the same shape in
+ *   every key:
+ *   'wicki-hayden' (whole tones across, fourths/fifths up), 'janko'
+ *   (whole-tone rows a semitone apart), 'harmonic-table' (minor thirds
+ *   across, major thirds/fifths up), 'fourths' (guitar-style: frets
+ *   across, strings a fourth apart)
+ * - Your own: KeyboardInput.registerLayout() or loadLayout() from JSON
+ *
+ * Layouts map physical keys (e.code: 'KeyQ', 'Comma', 'Digit2'), so the
+ * piano keeps its shape on AZERTY, QWERTZ and Dvorak keyboards. A layout
+ * can map characters instead with match: 'key'.
+ *
+ * LAYOUT JSON:
+ *   {
+ *       "name": "My Piano",
+ *       "type": "notes",                  // 'notes' or 'pads' (trigger events)
+ *       "match": "code",                  // 'code' (physical key) or 'key' (character)
+ *       "keys": { "KeyQ": 0, "KeyW": 2 }, // notes: semitones from C of baseOctave
+ *                                         // pads: pad index
+ *       "rows": [["KeyQ", "KeyW"]],       // Optional: how the helper draws it
+ *                                         // (null = gap, [] = spacer)
+ *       "indent": [0]                     // Optional: row offsets in keys (stagger)
+ *   }
+ *
+ * HOTKEYS (notes layouts, config.hotkeys = false to turn off):
+ * - Page Down / Page Up: octave down / up
+ * - Home / End: transpose down / up a semitone
+ *
+ * VELOCITY (config.velocityMode):
+ * - 'fixed':     every note at config.velocity (default: 0.7)
+ * - 'modifiers': layers - Shift = loud, Caps Lock = soft (config.velocityLayers)
+ * - 'hold':      press and hold to wind up, the note plays when you let go -
+ *                longer = louder (full after config.holdTime ms)
+ * - 'row':       number keys the layout doesn't use set the level like a
+ *                fader (1 = 10% ... 0 = 100%), numpad digits too
+ *
+ * EXPRESSION (config.expression = false to turn off): the arrow keys work
+ * like a controller's wheels. ← / → bend the pitch down / up while held and
+ * spring back, ↑ / ↓ move the mod wheel (it stays where you leave it).
+ * Both ramp smoothly and are sent as 'continuous' → { bend (-1 to 1),
+ * modulation (0-1), source: 'keyboard' }, plus the same 'pitch-bend' and
+ * 'control-change' (CC 1) events a MIDI controller sends.
+ *
+ * Layout, octave, transpose and velocity row changes are sent as
+ * 'keyboard-change' → { layout, octave, transpose, velocity } so helpers
+ * can redraw.
  */
 
+// The four rows of a computer keyboard, top to bottom, and how far each row
+// sits to the right (in keys). The hotkeys sit off the grid (Page Up/Down, Home/End).
+const KEYBOARD_GRID_ROWS = [
+    ['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal'],
+    ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI', 'KeyO', 'KeyP', 'BracketLeft', 'BracketRight', 'Backslash'],
+    ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon', 'Quote'],
+    ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma', 'Period', 'Slash']
+];
+const KEYBOARD_GRID_INDENT = [0, 0.5, 0.75, 1.25];
+
+/**
+ * Build an isomorphic layout over KEYBOARD_GRID_ROWS
+ *
+ * Rows are staggered, so the key up-left of a key is the same column one
+ * row up (Z → A → Q → 1) and up-right is one column further.
+ *
+ * @param {string} name
+ * @param {object} intervals - In semitones
+ * @param {number} intervals.right - One key to the right
+ * @param {number} intervals.upLeft - One row up, to the left (up-right = upLeft + right)
+ * @param {number} intervals.start - Note of Z, from C of baseOctave
+ * @param {number} intervals.octaveRows - Optional: the rows repeat every this
+ *        many rows, an octave higher (Janko)
+ * @returns {object} Layout
+ */
+function createIsomorphicLayout(name, { right, upLeft, start, octaveRows }) {
+    const keys = {};
+    KEYBOARD_GRID_ROWS.forEach((row, rowIndex) => {
+        const up = KEYBOARD_GRID_ROWS.length - 1 - rowIndex;   // 0 = bottom row
+        const rowNote = octaveRows
+            ? (up % octaveRows) * upLeft + Math.floor(up / octaveRows) * 12
+            : up * upLeft;
+        row.forEach((code, column) => {
+            keys[code] = start + column * right + rowNote;
+        });
+    });
+
+    return {
+        name,
+        type: 'notes',
+        match: 'code',
+        keys,
+        rows: KEYBOARD_GRID_ROWS.map(row => row.slice()),
+        indent: KEYBOARD_GRID_INDENT.slice()
+    };
+}
+
+const KEYBOARD_LAYOUTS = {
+    // Piano layout: two rows of piano keys
+    piano: {
+        name: 'Piano',
+        type: 'notes',
+        match: 'code',
+        keys: {
+            // Lower row (white keys: one octave below)
+            'KeyZ': -12, 'KeyX': -10, 'KeyC': -8, 'KeyV': -7, 'KeyB': -5, 'KeyN': -3, 'KeyM': -1, 'Comma': 0,
+            // Lower row (black keys)
+            'KeyS': -11, 'KeyD': -9, 'KeyG': -6, 'KeyH': -4, 'KeyJ': -2,
+
+            // Upper row (white keys: baseOctave)
+            'KeyQ': 0, 'KeyW': 2, 'KeyE': 4, 'KeyR': 5, 'KeyT': 7, 'KeyY': 9, 'KeyU': 11, 'KeyI': 12,
+            // Upper row (black keys)
+            'Digit2': 1, 'Digit3': 3, 'Digit5': 6, 'Digit6': 8, 'Digit7': 10
+        },
+        rows: [
+            ['Digit2', 'Digit3', null, 'Digit5', 'Digit6', 'Digit7'],
+            ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI'],
+            [],
+            ['KeyS', 'KeyD', null, 'KeyG', 'KeyH', 'KeyJ'],
+            ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma']
+        ]
+    },
+
+    // Drum pad layout: 4x4 grid
+    drumpad: {
+        name: 'Drum Pad',
+        type: 'pads',
+        match: 'code',
+        keys: {
+            'KeyQ': 0, 'KeyW': 1, 'KeyE': 2, 'KeyR': 3,
+            'KeyA': 4, 'KeyS': 5, 'KeyD': 6, 'KeyF': 7,
+            'KeyZ': 8, 'KeyX': 9, 'KeyC': 10, 'KeyV': 11,
+            'Digit1': 12, 'Digit2': 13, 'Digit3': 14, 'Digit4': 15
+        },
+        rows: [
+            ['KeyQ', 'KeyW', 'KeyE', 'KeyR'],
+            ['KeyA', 'KeyS', 'KeyD', 'KeyF'],
+            ['KeyZ', 'KeyX', 'KeyC', 'KeyV'],
+            ['Digit1', 'Digit2', 'Digit3', 'Digit4']
+        ]
+    },
+
+    // Chromatic scale (simpler layout)
+    chromatic: {
+        name: 'Chromatic',
+        type: 'notes',
+        match: 'code',
+        keys: {
+            'KeyA': 0, 'KeyS': 1, 'KeyD': 2, 'KeyF': 3, 'KeyG': 4, 'KeyH': 5, 'KeyJ': 6,
+            'KeyK': 7, 'KeyL': 8, 'Semicolon': 9, 'Quote': 10, 'KeyZ': 11, 'KeyX': 12
+        },
+        rows: [
+            ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK', 'KeyL', 'Semicolon', 'Quote'],
+            ['KeyZ', 'KeyX']
+        ]
+    },
+
+    // Isomorphic grids - each spans 3+ octaves
+    'wicki-hayden': createIsomorphicLayout('Wicki-Hayden', { right: 2, upLeft: 5, start: -12 }),
+    // Janko: two whole-tone rows a semitone apart, the top two rows an octave up
+    'janko': createIsomorphicLayout('Janko', { right: 2, upLeft: -1, start: -9, octaveRows: 2 }),
+    'harmonic-table': createIsomorphicLayout('Harmonic Table', { right: 3, upLeft: 4, start: -12 }),
+    // Guitar Fourths: each row is two strings up (a fourth each), so the rows
+    // join up without repeating
+    'fourths': createIsomorphicLayout('Guitar Fourths', { right: 1, upLeft: 10, start: -12 })
+};
+
+// Off the isomorphic grids, so they work with every layout
+const KEYBOARD_HOTKEYS = {
+    octaveDown: 'PageDown',
+    octaveUp: 'PageUp',
+    transposeDown: 'Home',
+    transposeUp: 'End'
+};
+
+const KEYBOARD_VELOCITY_ROW = [
+    'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0',
+    'Numpad1', 'Numpad2', 'Numpad3', 'Numpad4', 'Numpad5', 'Numpad6', 'Numpad7', 'Numpad8', 'Numpad9', 'Numpad0'
+];
+
+// Arrow keys → wheel direction
+const KEYBOARD_EXPRESSION_KEYS = {
+    ArrowLeft: { bend: -1 },
+    ArrowRight: { bend: 1 },
+    ArrowUp: { modulation: 1 },
+    ArrowDown: { modulation: -1 }
+};
+
+// Saved user layouts (localStorage)
+const KEYBOARD_LAYOUTS_STORAGE_KEY = 'keyboard-layouts';
+
 class KeyboardInput {
+    /**
+     * @param {InputManager} manager
+     * @param {object} config
+     * @param {string|object} config.layout - Layout id or layout object (default: 'piano')
+     * @param {number} config.baseOctave - Octave of the upper piano row (default: 4 = C4)
+     * @param {number} config.transpose - Semitones (default: 0)
+     * @param {object|boolean} config.hotkeys - e.code per action (see KEYBOARD_HOTKEYS), false = none
+     * @param {string} config.velocityMode - 'fixed', 'modifiers', 'hold' or 'row' (default: 'fixed')
+     * @param {number} config.velocity - Fixed velocity, and where the row starts (default: 0.7)
+     * @param {object} config.velocityLayers - { normal, shift, capsLock } (default: 0.7, 1, 0.35)
+     * @param {number} config.holdTime - ms of holding for full velocity (default: 600)
+     * @param {number} config.holdNoteLength - ms a 'hold' note sounds (default: 400)
+     * @param {boolean} config.expression - Arrow keys bend and modulate (default: true)
+     * @param {number} config.bendTime - Seconds to bend all the way (default: 0.25)
+     * @param {number} config.modulationTime - Seconds for a full mod wheel sweep (default: 1)
+     */
     constructor(manager, config = {}) {
         this.manager = manager;
-        this.layout = config.layout || 'piano';
-        this.keysPressed = new Set();
-        this.baseOctave = config.baseOctave || 4; // C4 by default
-
-        // Define keyboard layouts
-        this.layouts = {
-            // Piano layout: two rows of piano keys
-            piano: {
-                // Lower row (white keys: C3-C4)
-                'z': 48, 'x': 50, 'c': 52, 'v': 53, 'b': 55, 'n': 57, 'm': 59, ',': 60,
-                // Lower row (black keys)
-                's': 49, 'd': 51, 'g': 54, 'h': 56, 'j': 58,
-                
-                // Upper row (white keys: C4-C5)
-                'q': 60, 'w': 62, 'e': 64, 'r': 65, 't': 67, 'y': 69, 'u': 71, 'i': 72,
-                // Upper row (black keys)
-                '2': 61, '3': 63, '5': 66, '6': 68, '7': 70
-            },
-
-            // Drum pad layout: 4x4 grid
-            drumpad: {
-                // Row 1
-                'q': 0, 'w': 1, 'e': 2, 'r': 3,
-                // Row 2
-                'a': 4, 's': 5, 'd': 6, 'f': 7,
-                // Row 3
-                'z': 8, 'x': 9, 'c': 10, 'v': 11,
-                // Row 4
-                '1': 12, '2': 13, '3': 14, '4': 15
-            },
-
-            // Chromatic scale (simpler layout)
-            chromatic: {
-                'a': 0, 's': 1, 'd': 2, 'f': 3, 'g': 4, 'h': 5, 'j': 6,
-                'k': 7, 'l': 8, ';': 9, '\'': 10, 'z': 11, 'x': 12
-            }
-        };
+        this.keysPressed = new Map();     // key id → { note, index, key } that was played
+        this.baseOctave = config.baseOctave !== undefined ? config.baseOctave : 4; // C4 by default
+        this.transpose = config.transpose || 0;
+        this.hotkeys = config.hotkeys === false ? {} : { ...KEYBOARD_HOTKEYS, ...config.hotkeys };
+
+        // Velocity
+        this.velocityMode = config.velocityMode || 'fixed';
+        this.velocity = config.velocity !== undefined ? config.velocity : 0.7;
+        this.velocityLayers = { normal: 0.7, shift: 1, capsLock: 0.35, ...config.velocityLayers };
+        this.holdTime = config.holdTime || 600;
+        this.holdNoteLength = config.holdNoteLength || 400;
+        this.holdTimers = new Map();     // 'hold' notes still sounding: timer → { note, key }
+
+        // Expression (arrow keys)
+        this.expression = config.expression !== false;
+        this.bendTime = config.bendTime || 0.25;
+        this.modulationTime = config.modulationTime || 1;
+        this.bend = 0;
+        this.modulation = 0;
+        this.expressionKeys = new Set();
+        this.expressionFrame = null;
+        this.lastExpressionTime = null;
+        this.lastSentBend = 0;
+        this.lastSentModulation = 0;
+
+        // No 'keyboard-change' while constructing: InputManager hasn't stored this keyboard yet
+        this.constructing = true;
+
+        KeyboardInput.loadSavedLayouts();
+        this.layouts = KeyboardInput.layouts;
+        this.setLayout(config.layout || 'piano');
+
+        this.constructing = false;
+
+        // Real key labels for this keyboard (AZERTY etc.) where the browser tells us.
+        // This sends the first 'keyboard-change' - always after the constructor returns.
+        KeyboardInput.loadKeyLabels().then(() => this.emitChange());
 
         this.setupListeners();
     }
@@ -57,7 +261,7 @@ class KeyboardInput {
         // Keydown event
         const handleKeyDown = (e) => {
             // Ignore if typing in input field
-            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable) {
                 return;
             }
 
@@ -66,72 +270,55 @@ class KeyboardInput {
                 return;
             }
 
-            const key = e.key.toLowerCase();
-            
+            const id = this.getKeyId(e);
+
             // Prevent key repeat
-            if (this.keysPressed.has(key)) {
+            if (this.keysPressed.has(id)) {
                 return;
             }
 
-            const mapping = this.layouts[this.layout][key];
-            
-            if (mapping !== undefined) {
-                e.preventDefault(); // Prevent scrolling, etc.
-                this.keysPressed.add(key);
-
-                let note = mapping;
-                
-                // For piano/chromatic, use absolute MIDI numbers
-                // For drumpad, it's just an index
-                if (this.layout === 'drumpad') {
-                    this.manager.emitMusicalEvent('trigger', {
-                        index: mapping,
-                        velocity: 0.7,
-                        key: key
-                    });
-                } else {
-                    this.manager.emitMusicalEvent('note-on', {
-                        note: note,
-                        velocity: 0.7,
-                        key: key
-                    });
+            const mapping = this.getLayout().keys[id];
+
+            if (mapping === undefined) {
+                if (this.handleExpressionKey(e, true) || this.handleVelocityKey(e)) {
+                    return;
                 }
+                this.handleHotkey(e);
+                return;
             }
+
+            e.preventDefault(); // Prevent scrolling, etc.
+            const key = e.key.toLowerCase();
+            const pads = this.getLayout().type === 'pads';
+
+            // Pads are just an index, notes follow octave and transpose
+            const pressed = pads ? { index: mapping, key } : { note: this.getNote(id), key };
+            if (pressed.note === null) return;
+
+            // Hold mode: wind up now, play on release
+            if (this.velocityMode === 'hold') {
+                pressed.pressedAt = performance.now();
+                this.keysPressed.set(id, pressed);
+                return;
+            }
+
+            // Remember the note: octave changes while held must not strand it
+            this.keysPressed.set(id, pressed);
+            this.play(pressed, this.getVelocity(e));
         };
 
         // Keyup event
         const handleKeyUp = (e) => {
-            const key = e.key.toLowerCase();
-            this.keysPressed.delete(key);
-
-            const mapping = this.layouts[this.layout][key];
-            
-            if (mapping !== undefined) {
-                let note = mapping;
-                
-                if (this.layout !== 'drumpad') {
-                    this.manager.emitMusicalEvent('note-off', {
-                        note: note,
-                        key: key
-                    });
-                }
-            }
+            if (this.handleExpressionKey(e, false)) return;
+            this.releaseKey(this.getKeyId(e));
         };
 
         // Handle window blur (release all keys)
         const handleBlur = () => {
-            // Release all pressed keys when window loses focus
-            this.keysPressed.forEach(key => {
-                const mapping = this.layouts[this.layout][key];
-                if (mapping !== undefined && this.layout !== 'drumpad') {
-                    const note = mapping;
-                    this.manager.emitMusicalEvent('note-off', {
-                        note: note,
-                        key: key
-                    });
-                }
-            });
-            this.keysPressed.clear();
+            // Release all pressed keys when window loses focus (wound-up notes don't play)
+            Array.from(this.keysPressed.keys()).forEach(id => this.releaseKey(id, { cancel: true }));
+            this.expressionKeys.clear();
+            this.startExpression();
         };
 
         document.addEventListener('keydown', handleKeyDown);
@@ -146,42 +333,471 @@ class KeyboardInput {
         ];
     }
 
+    /**
+     * What the current layout calls this key: e.code, or the character for match: 'key'
+     */
+    getKeyId(e) {
+        return this.getLayout().match === 'key' ? e.key.toLowerCase() : e.code;
+    }
+
+    /**
+     * Send a pressed key's note-on or trigger
+     */
+    play({ note, index, key }, velocity) {
+        if (note === undefined) {
+            this.manager.emitMusicalEvent('trigger', {
+                index: index,
+                velocity: velocity,
+                key: key
+            });
+        } else {
+            this.manager.emitMusicalEvent('note-on', {
+                note: note,
+                velocity: velocity,
+                key: key
+            });
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @param {object} options
+     * @param {boolean} options.cancel - Drop a wound-up 'hold' note instead of playing it
+     */
+    releaseKey(id, options = {}) {
+        const pressed = this.keysPressed.get(id);
+        if (!pressed) return;
+
+        this.keysPressed.delete(id);
+
+        // Hold mode: the note plays now, as loud as it was held long
+        if (pressed.pressedAt !== undefined) {
+            if (options.cancel) return;
+
+            const held = performance.now() - pressed.pressedAt;
+            this.play(pressed, Math.min(1, 0.1 + 0.9 * held / this.holdTime));
+
+            if (pressed.note !== undefined) {
+                const timer = setTimeout(() => {
+                    this.holdTimers.delete(timer);
+                    this.manager.emitMusicalEvent('note-off', { note: pressed.note, key: pressed.key });
+                }, this.holdNoteLength);
+                this.holdTimers.set(timer, { note: pressed.note, key: pressed.key });
+            }
+            return;
+        }
+
+        if (pressed.note !== undefined) {
+            this.manager.emitMusicalEvent('note-off', {
+                note: pressed.note,
+                key: pressed.key
+            });
+        }
+    }
+
+    handleHotkey(e) {
+        if (this.getLayout().type === 'pads') return;
+
+        const actions = {
+            octaveDown: () => this.setOctave(this.baseOctave - 1),
+            octaveUp: () => this.setOctave(this.baseOctave + 1),
+            transposeDown: () => this.setTranspose(this.transpose - 1),
+            transposeUp: () => this.setTranspose(this.transpose + 1)
+        };
+
+        const action = Object.keys(actions).find(name => this.hotkeys[name] === e.code);
+        if (action) {
+            e.preventDefault();
+            actions[action]();
+        }
+    }
+
+    // ========================================
+    // LAYOUTS
+    // ========================================
+
+    /**
+     * Add a layout everyone can use by id
+     *
+     * @param {string} id
+     * @param {object} layout - See LAYOUT JSON above
+     * @param {object} options
+     * @param {boolean} options.save - Keep it in localStorage for next time
+     * @returns {object} The checked layout
+     */
+    static registerLayout(id, layout, options = {}) {
+        const checked = KeyboardInput.validateLayout(layout);
+        KeyboardInput.layouts[id] = checked;
+
+        if (options.save) {
+            KeyboardInput.saveLayouts();
+        }
+        return checked;
+    }
+
+    /**
+     * Check a layout (from JSON) and fill in the defaults
+     */
+    static validateLayout(layout) {
+        if (!layout || typeof layout.keys !== 'object') {
+            throw new Error('Keyboard layouts need a "keys" object');
+        }
+
+        const type = layout.type || 'notes';
+        if (type !== 'notes' && type !== 'pads') {
+            throw new Error(`Unknown keyboard layout type: ${type}`);
+        }
+
+        const keys = {};
+        Object.entries(layout.keys).forEach(([id, value]) => {
+            if (typeof value !== 'number' || !isFinite(value)) {
+                throw new Error(`Key ${id} needs a number, got ${JSON.stringify(value)}`);
+            }
+            keys[id] = value;
+        });
+
+        return {
+            name: layout.name || 'Custom',
+            type,
+            match: layout.match === 'key' ? 'key' : 'code',
+            keys,
+            rows: Array.isArray(layout.rows) ? layout.rows : null,
+            indent: Array.isArray(layout.indent) ? layout.indent : null,
+            custom: !!layout.custom
+        };
+    }
+
+    static saveLayouts() {
+        const custom = {};
+        Object.entries(KeyboardInput.layouts).forEach(([id, layout]) => {
+            if (layout.custom) custom[id] = layout;
+        });
+
+        try {
+            localStorage.setItem(KEYBOARD_LAYOUTS_STORAGE_KEY, JSON.stringify(custom));
+        } catch (error) {
+            console.warn('Could not save keyboard layouts:', error);
+        }
+    }
+
+    static loadSavedLayouts() {
+        if (KeyboardInput.savedLayoutsLoaded) return;
+        KeyboardInput.savedLayoutsLoaded = true;
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(KEYBOARD_LAYOUTS_STORAGE_KEY) || '{}');
+            Object.entries(saved).forEach(([id, layout]) => {
+                if (KEYBOARD_LAYOUTS[id]) return;   // Built-ins can't be replaced
+                KeyboardInput.registerLayout(id, { ...layout, custom: true });
+            });
+        } catch (error) {
+            console.warn('Could not load keyboard layouts:', error);
+        }
+    }
+
+    /**
+     * Switch layout
+     *
+     * @param {string|object} layout - Registered id, or a layout object (registered as 'custom')
+     */
+    setLayout(layout) {
+        let id = layout;
+        if (typeof layout === 'object') {
+            id = 'custom';
+            KeyboardInput.registerLayout(id, layout);
+        }
+
+        if (!this.layouts[id]) {
+            throw new Error(`Unknown keyboard layout: ${id}`);
+        }
+
+        // Let go of everything held in the old layout
+        Array.from(this.keysPressed.keys()).forEach(key => this.releaseKey(key));
+
+        this.layout = id;
+        this.emitChange();
+    }
+
+    /**
+     * Load a layout from JSON (a string, an object or a URL) and switch to it
+     *
+     * @param {string|object} source
+     * @param {string} id - Register as (default: from the layout name)
+     * @returns {Promise<string>} The layout id
+     */
+    async loadLayout(source, id = null) {
+        let layout = source;
+        if (typeof source === 'string') {
+            const text = source.trim();
+            if (text.startsWith('{')) {
+                layout = JSON.parse(text);
+            } else {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`Could not load ${source}: ${response.status}`);
+                }
+                layout = await response.json();
+            }
+        }
+
+        let layoutId = id || (layout.name || 'custom').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        // Never replace a built-in layout ("Piano" → 'piano-custom', like mapKey's copies)
+        if (KEYBOARD_LAYOUTS[layoutId]) {
+            layoutId = `${layoutId}-custom`;
+        }
+        KeyboardInput.registerLayout(layoutId, { ...layout, custom: true }, { save: true });
+        this.setLayout(layoutId);
+        console.log(`⌨️ Keyboard layout loaded: ${layoutId}`);
+        return layoutId;
+    }
+
+    getLayout() {
+        return this.layouts[this.layout];
+    }
+
+    /**
+     * Map one key (the layout editor). Built-in layouts are copied first.
+     *
+     * @param {string} id - e.code (or character for match: 'key' layouts)
+     * @param {number|null} value - Semitone offset / pad index, null = unmap
+     */
+    mapKey(id, value) {
+        if (!this.getLayout().custom) {
+            const copyId = `${this.layout}-custom`;
+            const original = this.getLayout();
+            KeyboardInput.registerLayout(copyId, {
+                ...original,
+                name: `${original.name} (custom)`,
+                keys: { ...original.keys },
+                rows: original.rows && original.rows.map(row => row.slice()),
+                indent: original.indent && original.indent.slice(),
+                custom: true
+            });
+            this.setLayout(copyId);
+        }
+
+        const layout = this.getLayout();
+        if (value === null) {
+            delete layout.keys[id];
+        } else {
+            layout.keys[id] = value;
+        }
+
+        KeyboardInput.saveLayouts();
+        this.emitChange();
+    }
+
+    /**
+     * The current layout as JSON (for the layout editor's export)
+     */
+    exportLayout() {
+        const { name, type, match, keys, rows, indent } = this.getLayout();
+        return JSON.stringify({ name, type, match, keys, rows, indent }, null, 2);
+    }
+
+    // ========================================
+    // VELOCITY
+    // ========================================
+
+    /**
+     * Velocity for a key press in the current mode ('hold' is worked out on release)
+     */
+    getVelocity(e) {
+        if (this.velocityMode === 'modifiers') {
+            if (e.shiftKey) return this.velocityLayers.shift;
+            if (e.getModifierState && e.getModifierState('CapsLock')) return this.velocityLayers.capsLock;
+            return this.velocityLayers.normal;
+        }
+        return this.velocity;
+    }
+
+    /**
+     * Velocity row: a free number key sets the level
+     */
+    handleVelocityKey(e) {
+        if (this.velocityMode !== 'row') return false;
+
+        const index = KEYBOARD_VELOCITY_ROW.indexOf(e.code);
+        if (index === -1) return false;
+
+        e.preventDefault();
+        this.setVelocity(((index % 10) + 1) / 10);
+        return true;
+    }
+
+    setVelocity(velocity) {
+        this.velocity = Math.max(0.05, Math.min(1, velocity));
+        this.emitChange();
+    }
+
+    // ========================================
+    // EXPRESSION (arrow keys)
+    // ========================================
+
+    /**
+     * Arrow key down / up: start or stop moving a wheel
+     *
+     * @returns {boolean} Whether it was an expression key
+     */
+    handleExpressionKey(e, down) {
+        if (!this.expression || !KEYBOARD_EXPRESSION_KEYS[e.code]) return false;
+
+        e.preventDefault(); // No scrolling
+        if (down) {
+            this.expressionKeys.add(e.code);
+        } else {
+            this.expressionKeys.delete(e.code);
+        }
+        this.startExpression();
+        return true;
+    }
+
+    startExpression() {
+        if (this.expressionFrame === null) {
+            this.lastExpressionTime = performance.now();
+            this.expressionFrame = requestAnimationFrame((time) => this.updateExpression(time));
+        }
+    }
+
+    /**
+     * Move the wheels one frame towards where the held arrows push them
+     */
+    updateExpression(time) {
+        const dt = Math.max(0, (time - this.lastExpressionTime) / 1000);
+        this.lastExpressionTime = time;
+        this.expressionFrame = null;
+
+        let bendTarget = 0;
+        let modulationDirection = 0;
+        this.expressionKeys.forEach(code => {
+            const { bend = 0, modulation = 0 } = KEYBOARD_EXPRESSION_KEYS[code];
+            bendTarget += bend;
+            modulationDirection += modulation;
+        });
+
+        // Bend springs back to the middle when let go, modulation stays put
+        const bendStep = dt / this.bendTime;
+        const bend = bendTarget > this.bend
+            ? Math.min(bendTarget, this.bend + bendStep)
+            : Math.max(bendTarget, this.bend - bendStep);
+        const modulation = Math.max(0, Math.min(1, this.modulation + modulationDirection * dt / this.modulationTime));
+
+        if (bend !== this.bend) {
+            this.bend = bend;
+            this.manager.emitMusicalEvent('pitch-bend', { value: bend, channel: 0 });
+        }
+        if (modulation !== this.modulation) {
+            this.modulation = modulation;
+            this.manager.emitMusicalEvent('control-change', { control: 1, value: modulation, channel: 0 });
+        }
+        if (bend !== this.lastSentBend || modulation !== this.lastSentModulation) {
+            this.lastSentBend = bend;
+            this.lastSentModulation = modulation;
+            this.manager.emitMusicalEvent('continuous', { bend, modulation, source: 'keyboard' });
+        }
+
+        // Keep going while a wheel is still moving
+        if (this.bend !== bendTarget || (modulationDirection !== 0 && modulation > 0 && modulation < 1)) {
+            this.startExpression();
+        }
+    }
+
+    // ========================================
+    // OCTAVE / TRANSPOSE
+    // ========================================
+
+    setOctave(octave) {
+        this.baseOctave = Math.max(0, Math.min(8, octave));
+        this.emitChange();
+    }
+
+    setTranspose(semitones) {
+        this.transpose = Math.max(-12, Math.min(12, semitones));
+        this.emitChange();
+    }
+
+    /**
+     * MIDI note a key plays right now (null = not mapped, out of range, or a pad)
+     */
+    getNote(id) {
+        const layout = this.getLayout();
+        const offset = layout.keys[id];
+        if (offset === undefined || layout.type === 'pads') return null;
+
+        const note = (this.baseOctave + 1) * 12 + offset + this.transpose;
+        return note >= 0 && note <= 127 ? note : null;
+    }
+
+    emitChange() {
+        if (this.constructing) return;
+
+        this.manager.emitMusicalEvent('keyboard-change', {
+            layout: this.layout,
+            octave: this.baseOctave,
+            transpose: this.transpose,
+            velocity: this.velocity
+        });
+    }
+
+    // ========================================
+    // HELP
+    // ========================================
+
+    /**
+     * Ask the browser what each physical key prints (Chrome/Edge)
+     */
+    static loadKeyLabels() {
+        if (!KeyboardInput.keyLabelsPromise) {
+            KeyboardInput.keyLabelsPromise = (navigator.keyboard && navigator.keyboard.getLayoutMap)
+                ? navigator.keyboard.getLayoutMap()
+                    .then(map => { KeyboardInput.keyLabels = map; })
+                    .catch(() => {})
+                : Promise.resolve();
+        }
+        return KeyboardInput.keyLabelsPromise;
+    }
+
+    /**
+     * What to print on a key: 'KeyQ' → 'Q' (or 'A' on AZERTY), 'Digit2' → '2'
+     */
+    static getKeyLabel(id) {
+        const labels = KeyboardInput.keyLabels;
+        if (labels && labels.has(id)) {
+            return labels.get(id).toUpperCase();
+        }
+
+        const names = {
+            Comma: ',', Period: '.', Slash: '/', Semicolon: ';', Quote: '\'',
+            BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=', Backquote: '`',
+            Backslash: '\\', Space: '␣', PageUp: 'PgUp', PageDown: 'PgDn'
+        };
+        if (names[id]) return names[id];
+
+        const match = id.match(/^(?:Key|Digit|Numpad)(.+)$/);
+        return (match ? match[1] : id).toUpperCase();
+    }
+
     /**
      * Get the current layout's key mapping
      */
     getKeyMapping() {
-        return this.layouts[this.layout];
+        return this.getLayout().keys;
     }
 
     /**
      * Get a visual representation of the current layout
      */
     getLayoutHelp() {
-        const mapping = this.layouts[this.layout];
-        const keys = Object.keys(mapping);
-        
-        if (this.layout === 'piano') {
-            return `
-                Piano Layout:
-                Upper row: Q W E R T Y U I (white keys)
-                           2 3   5 6 7   (black keys)
-                Lower row: Z X C V B N M , (white keys)
-                           S D   G H J   (black keys)
-            `;
-        } else if (this.layout === 'drumpad') {
-            return `
-                Drum Pad Layout:
-                Q W E R
-                A S D F
-                Z X C V
-                1 2 3 4
-            `;
-        } else if (this.layout === 'chromatic') {
-            return `
-                Chromatic Layout:
-                A S D F G H J K L ; '
-            `;
+        const layout = this.getLayout();
+        const rows = layout.rows || [Object.keys(layout.keys)];
+        const lines = rows
+            .filter(row => row.length > 0)
+            .map(row => row.map(id => id ? KeyboardInput.getKeyLabel(id) : ' ').join(' '));
+
+        if (layout.type === 'notes') {
+            lines.push(`Octave ${this.baseOctave}, transpose ${this.transpose}`);
         }
+        return `${layout.name} Layout:\n${lines.join('\n')}`;
     }
 
     /**
@@ -192,9 +808,25 @@ class KeyboardInput {
             element.removeEventListener(event, handler);
         });
         this.listeners = [];
+
+        if (this.expressionFrame !== null) {
+            cancelAnimationFrame(this.expressionFrame);
+            this.expressionFrame = null;
+        }
+
+        // 'Hold' notes still sounding: their note-offs were waiting on the timers
+        this.holdTimers.forEach(({ note, key }, timer) => {
+            clearTimeout(timer);
+            this.manager.emitMusicalEvent('note-off', { note, key });
+        });
+        this.holdTimers.clear();
     }
 }
 
+// Built-in layouts plus registerLayout() ones, shared by every KeyboardInput
+KeyboardInput.layouts = { ...KEYBOARD_LAYOUTS };
+
 // Make available globally
 window.KeyboardInput = KeyboardInput;
-
+window.KEYBOARD_LAYOUTS = KEYBOARD_LAYOUTS;
+window.createIsomorphicLayout = createIsomorphicLayout;
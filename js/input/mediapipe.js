@@ -2,19 +2,93 @@
  * Musical Instrument Sandbox - MediaPipe Hand Tracking Input
  * 
  * Uses MediaPipe Hands to track hand gestures and trigger musical events.
+ * Both hands are tracked, each labelled 'left' or 'right' (the player's
+ * own hands, as seen in the mirrored video).
  * 
  * Default mode: Horizontal line crossing
- * - Move finger across a horizontal line to trigger notes
+ * - Move finger down across a horizontal line to start a note, back up to end it
  * - X position determines pitch (like mouse input)
+ * - The faster the finger crosses, the louder the note
+ * - While the finger stays below the line, sliding sideways glides to the
+ *   next note (legato) and 'continuous' events carry the exact pitch
+ * - Works with either hand; note events carry { hand, role }
+ * 
+ * triggerMode 'continuous' also starts a note for a finger that appears
+ * below the line, without crossing it.
+ * 
+ * ZONES: instead of the one line, config.zones can lay out several lines,
+ * pads, drums and keyboard strips, each playing notes, triggers or
+ * controls (see trigger-zones.js). The ✏️ Zones button next to the video
+ * lets you drag them around with the mouse; edits are saved per page
+ * (config.storageKey, null = not saved) until the page changes its zones.
+ * 
+ * ROLES: give each hand a job (config.roles), e.g. the theremin's
+ * { left: 'volume', right: 'pitch' }. Events carry the role, so a page
+ * can swap hands by changing the config instead of its code.
+ * 
+ * EVENTS (through InputManager, x/y 0-1 across the screen, mirrored):
+ * - 'hand'      → { hand, role, x, y, score, fingers, landmarks } - every frame,
+ *                 x/y of config.landmark (default: 9 = middle of palm)
+ * - 'finger'    → { hand, role, finger, tip, x, y, z, extended } - every frame,
+ *                 finger is 'thumb', 'index', 'middle', 'ring' or 'pinky'
+ * - 'hand-lost' → { hand, role } - a hand left the camera
+ * - 'gesture'   → { gesture, phase, hand, role, x, y, ... } - pinch, fist,
+ *                 open palm, pointing, finger count, swipes (see hand-gestures.js;
+ *                 config.gestures = false turns them off)
+ * - 'note-on'   → { note, velocity, x, y, fingerIndex, hand, role, legato, zone } - x/y in pixels
+ * - 'note-off'  → { note, fingerIndex, hand, role, legato, zone }
+ * - 'continuous' → { x, y, pressure, note, pitch, bend, fingerIndex, hand, role, zone } - while
+ *                 a note is held: pitch is the unrounded MIDI note, bend = pitch - note
+ * - 'trigger'   → { index, velocity, x, y, fingerIndex, hand, role, zone } - trigger zones
+ * - 'control-change' → { control, value, channel, fingerIndex, hand, role, zone } - control zones
+ * - 'zones-change' → { zones } - zones were moved with the mouse
+ * 
+ * OFFLINE: the model files come from config.modelPath (default: jsDelivr).
+ * To work without network, copy node_modules/@mediapipe/hands/ (npm install
+ * @mediapipe/hands) to e.g. lib/mediapipe/hands/, point the page's
+ * hands.js <script> there and set modelPath: '../../lib/mediapipe/hands/'.
+ * 
+ * RECORD / REPLAY: startRecording() ... stopRecording() captures the hand
+ * landmarks as JSON; config.replay plays a recording back instead of the
+ * camera (no webcam, no model), and replayFrames() feeds one through
+ * synchronously with its own timestamps - the same events every time, for
+ * testing gestures and zones (set replayRealtime: false so the real-time
+ * playback doesn't run alongside). replayFrames() also works on a
+ * MediaPipeInput that was never init()ed - there's just nothing drawn.
+ * tests/mediapipe-replay.html checks a recording this way:
+ *   { version: 1, frames: [{ time, hands: [{ label, score, landmarks }] }] }
  * 
  * USAGE:
  *   await inputManager.enableInput('mediapipe', {
  *       lineY: 0.5,           // Line position (0-1)
  *       fingerTips: [8],      // Which fingers (8 = index)
- *       triggerMode: 'cross'  // 'cross' | 'continuous'
+ *       triggerMode: 'cross', // 'cross' | 'continuous' | 'none' (events only)
+ *       maxHands: 2,          // 1 or 2
+ *       roles: { left: 'volume', right: 'pitch' }
+ *   });
+ *   inputManager.addEventListener('hand', (e) => {
+ *       if (e.detail.role === 'pitch') setPitch(e.detail.x);
  *   });
  */
 
+// Tip and middle joint of each finger (MediaPipe landmark indexes)
+const MEDIAPIPE_FINGERS = {
+    thumb: { tip: 4, joint: 2 },
+    index: { tip: 8, joint: 6 },
+    middle: { tip: 12, joint: 10 },
+    ring: { tip: 16, joint: 14 },
+    pinky: { tip: 20, joint: 18 }
+};
+
+// Where the Hands model files are loaded from (config.modelPath)
+const MEDIAPIPE_MODEL_PATH = 'https://cdn.jsdelivr.net/npm/@mediapipe/hands/';
+
+// Skeleton colours in the video preview
+const MEDIAPIPE_HAND_COLORS = {
+    left: '#4caf50',
+    right: '#2196f3'
+};
+
 class MediaPipeInput {
     constructor(manager, config = {}) {
         this.manager = manager;
@@ -31,7 +105,22 @@ class MediaPipeInput {
             showVideo: config.showVideo !== false,
             mirror: config.mirror !== false,
             videoWidth: config.videoWidth || 640,
-            videoHeight: config.videoHeight || 480
+            videoHeight: config.videoHeight || 480,
+            maxHands: config.maxHands || 2,
+            landmark: config.landmark !== undefined ? config.landmark : 9,
+            roles: { left: 'left', right: 'right', ...config.roles },
+            gestures: config.gestures !== undefined ? config.gestures : {},
+            velocity: config.velocity || 0.7,        // When there's no crossing speed
+            maxSpeed: config.maxSpeed || 2,          // Crossing speed (screens/s) for full velocity
+            glide: config.glide !== false,           // Slide between notes below the line
+            releaseMargin: config.releaseMargin !== undefined ? config.releaseMargin : 0.02,
+            zones: config.zones || null,             // Default: one line at lineY
+            editZones: config.editZones !== false,   // Show the ✏️ Zones button
+            storageKey: config.storageKey,           // Where zone edits are saved (default: per page, null = don't)
+            modelPath: config.modelPath || MEDIAPIPE_MODEL_PATH,
+            replay: config.replay || null,           // Recording (object, JSON or URL) instead of the camera
+            replayLoop: config.replayLoop !== false,
+            replayRealtime: config.replayRealtime !== false  // false: only replayFrames() plays it
         };
         
         // State
@@ -40,8 +129,23 @@ class MediaPipeInput {
         this.videoElement = null;
         this.canvasElement = null;
         this.canvasCtx = null;
-        this.previousPositions = {};  // Track finger Y positions
-        this.activeNotes = new Set(); // Track which notes are playing
+        this.previousPositions = {};  // Track finger positions ('left-8' → { y, time })
+        this.activeFingers = new Map(); // Fingers in a zone ('left-8' → { zone, note, velocity, fingerIndex, hand })
+        this.handStates = new Map();  // 'left' / 'right' → last 'hand' event detail
+        this.recording = null;        // { startTime, frames } while recording
+        this.stopReplay = null;
+        this.replayRecording = null;  // config.replay, once loaded
+        this.gestures = this.config.gestures ? new HandGestures(this.config.gestures) : null;
+        this.zones = new TriggerZones(this.config.zones || [{
+            id: 'line',
+            type: 'line',
+            y: this.config.lineY,
+            minNote: this.config.minNote,
+            maxNote: this.config.maxNote
+        }], { storageKey: this.config.storageKey });
+        this.zones.addEventListener('change', (e) => {
+            this.manager.emitMusicalEvent('zones-change', e.detail);
+        });
         
         // Visual elements
         this.overlay = null;
@@ -63,6 +167,22 @@ class MediaPipeInput {
         console.log('🤚 Initializing MediaPipe Hand Tracking...');
 
         try {
+            // Replay: a recording stands in for the camera and the model
+            if (this.config.replay) {
+                const recording = await MediaPipeInput.loadRecording(this.config.replay);
+                this.replayRecording = recording;
+                this.createVideoElement();
+                this.createOverlay();
+                if (this.config.editZones) {
+                    this.createEditButton();
+                }
+                if (this.config.replayRealtime) {
+                    this.stopReplay = this.playRecording(recording, { loop: this.config.replayLoop });
+                }
+                console.log(`✅ MediaPipe replaying ${recording.frames.length} frames`);
+                return;
+            }
+
             // Check if MediaPipe is loaded
             if (typeof Hands === 'undefined') {
                 throw new Error('MediaPipe Hands library not loaded. Please include the MediaPipe CDN scripts.');
@@ -73,16 +193,20 @@ class MediaPipeInput {
             
             // Create overlay canvas
             this.createOverlay();
+            if (this.config.editZones) {
+                this.createEditButton();
+            }
 
-            // Initialize MediaPipe Hands
+            // Initialize MediaPipe Hands (model files from config.modelPath)
+            const modelPath = this.config.modelPath.endsWith('/') ? this.config.modelPath : `${this.config.modelPath}/`;
             this.hands = new Hands({
                 locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
+                    return `${modelPath}${file}`;
                 }
             });
 
             this.hands.setOptions({
-                maxNumHands: 1,              // Track one hand
+                maxNumHands: this.config.maxHands,
                 modelComplexity: 1,
                 minDetectionConfidence: 0.5,
                 minTrackingConfidence: 0.5
@@ -158,34 +282,369 @@ class MediaPipeInput {
         document.body.appendChild(this.canvasElement);
     }
 
+    /**
+     * ✏️ Zones button (above the video preview) for dragging zones around
+     */
+    createEditButton() {
+        this.editButton = document.createElement('button');
+        this.editButton.textContent = '✏️ Zones';
+        this.editButton.title = 'Drag zones to move them, their corners to resize';
+        this.editButton.style.cssText = `
+            position: fixed;
+            bottom: 210px;
+            right: 20px;
+            padding: 5px 10px;
+            background: #454545;
+            color: #fff;
+            border: none;
+            border-radius: 5px;
+            cursor: pointer;
+            z-index: 999;
+        `;
+        this.editButton.addEventListener('click', () => this.setEditing(!this.zones.editing));
+        document.body.appendChild(this.editButton);
+    }
+
+    /**
+     * Drag zones with the mouse (on) or play them (off)
+     */
+    setEditing(enabled) {
+        this.zones.setEditing(enabled, this.canvasElement);
+        if (this.editButton) {
+            this.editButton.textContent = this.zones.editing ? '✅ Done' : '✏️ Zones';
+        }
+    }
+
+    /**
+     * Replace the zones
+     *
+     * @param {Array|object|string} zones - Zone list, { zones }, JSON text, or a URL to a .json file
+     */
+    async loadZones(zones) {
+        if (typeof zones === 'string' && !zones.trim().startsWith('{') && !zones.trim().startsWith('[')) {
+            const response = await fetch(zones);
+            if (!response.ok) {
+                throw new Error(`Could not load zones: ${response.status}`);
+            }
+            zones = await response.text();
+        }
+
+        this.releaseAll();
+        this.zones.fromJSON(zones);
+        this.zones.save();
+    }
+
+    /**
+     * The zones as JSON text (to save as a file)
+     */
+    exportZones() {
+        return JSON.stringify(this.zones.toJSON(), null, 2);
+    }
+
+    // ========================================
+    // RECORD / REPLAY
+    // ========================================
+
+    /**
+     * Start capturing every frame's landmarks
+     */
+    startRecording() {
+        this.recording = { startTime: performance.now(), frames: [] };
+        console.log('⏺️ Recording hand landmarks...');
+    }
+
+    /**
+     * @returns {object} The recording: { version, frames: [{ time, hands }] }
+     */
+    stopRecording() {
+        if (!this.recording) return null;
+
+        const recording = { version: 1, frames: this.recording.frames };
+        this.recording = null;
+        console.log(`⏹️ Recorded ${recording.frames.length} frames`);
+        return recording;
+    }
+
+    recordFrame(results, time) {
+        const landmarksList = results.multiHandLandmarks || [];
+        const round = (value) => Math.round(value * 10000) / 10000;
+
+        this.recording.frames.push({
+            time: Math.round(time - this.recording.startTime),
+            hands: landmarksList.map((landmarks, index) => {
+                const handedness = results.multiHandedness && results.multiHandedness[index];
+                return {
+                    label: handedness ? handedness.label : 'Right',
+                    score: handedness ? round(handedness.score) : 1,
+                    landmarks: landmarks.map(({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z || 0) }))
+                };
+            })
+        });
+    }
+
+    /**
+     * A recording from an object, JSON text or a URL
+     */
+    static async loadRecording(source) {
+        let data = source;
+        if (typeof source === 'string') {
+            if (source.trim().startsWith('{')) {
+                data = JSON.parse(source);
+            } else {
+                const response = await fetch(source);
+                if (!response.ok) {
+                    throw new Error(`Could not load hand recording: ${response.status}`);
+                }
+                data = await response.json();
+            }
+        }
+
+        if (!data || !Array.isArray(data.frames)) {
+            throw new Error('Not a hand landmark recording');
+        }
+        return data;
+    }
+
+    /**
+     * A recorded frame in the shape MediaPipe Hands gives onResults
+     */
+    static frameToResults(frame) {
+        return {
+            image: null,
+            multiHandLandmarks: frame.hands.map(hand => hand.landmarks),
+            multiHandedness: frame.hands.map(hand => ({ label: hand.label, score: hand.score }))
+        };
+    }
+
+    /**
+     * Play a recording in real time, like the camera would
+     *
+     * @param {object} recording - From stopRecording() / loadRecording()
+     * @param {object} options
+     * @param {boolean} options.loop - Start again at the end (default: false)
+     * @returns {Function} Call to stop
+     */
+    playRecording(recording, options = {}) {
+        const { loop = false } = options;
+        const length = recording.frames.reduce((max, frame) => Math.max(max, frame.time), 0) + 33;
+        const timeouts = new Set();
+        let stopped = false;
+
+        const playOnce = () => {
+            if (stopped) return;
+            recording.frames.forEach(frame => {
+                const timeout = setTimeout(() => {
+                    timeouts.delete(timeout);
+                    this.onResults(MediaPipeInput.frameToResults(frame));
+                }, frame.time);
+                timeouts.add(timeout);
+            });
+
+            if (loop && recording.frames.length > 0) {
+                const timeout = setTimeout(() => {
+                    timeouts.delete(timeout);
+                    // No hands between takes, so nothing is held over the loop
+                    this.onResults({ image: null, multiHandLandmarks: [] });
+                    playOnce();
+                }, length);
+                timeouts.add(timeout);
+            }
+        };
+
+        playOnce();
+
+        return () => {
+            stopped = true;
+            timeouts.forEach(timeout => clearTimeout(timeout));
+            timeouts.clear();
+        };
+    }
+
+    /**
+     * Feed a whole recording through right now, on its own clock
+     * (same events every run - for testing gestures and zones)
+     *
+     * @param {object} recording - Default: the one from config.replay
+     */
+    replayFrames(recording = this.replayRecording) {
+        recording.frames.forEach(frame => {
+            this.onResults(MediaPipeInput.frameToResults(frame), frame.time);
+        });
+        this.onResults({ image: null, multiHandLandmarks: [] }, recording.frames.length > 0
+            ? recording.frames[recording.frames.length - 1].time + 33
+            : 0);
+    }
+
     /**
      * Handle MediaPipe results
+     *
+     * @param {object} results - From MediaPipe Hands (or a recording)
+     * @param {number} time - Frame time in ms (default: now)
      */
-    onResults(results) {
-        // Clear overlay canvas
-        this.canvasCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+    onResults(results, time = performance.now()) {
+        if (this.recording) {
+            this.recordFrame(results, time);
+        }
+
+        // Clear overlay canvas (none before init(), e.g. replaying in a test)
+        if (this.canvasCtx) {
+            this.canvasCtx.clearRect(0, 0, this.canvasElement.width, this.canvasElement.height);
+        }
+
+        const detected = this.identifyHands(results);
 
         // Draw video feed with hand skeleton on video canvas
         if (this.config.showVideo && this.videoCanvasCtx) {
-            this.drawVideoWithHands(results);
+            this.drawVideoWithHands(results.image, detected);
         }
 
-        // Draw the trigger line on main canvas
-        if (this.config.showLine) {
-            this.drawTriggerLine();
+        // Draw the trigger zones on main canvas (lit while a finger is in them)
+        if (this.canvasCtx && (this.config.showLine || this.zones.editing)) {
+            const active = new Set(Array.from(this.activeFingers.values()).map(finger => finger.zone));
+            this.zones.draw(this.canvasCtx, this.canvasElement.width, this.canvasElement.height, active);
         }
 
         // Process hand landmarks
-        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            const hand = results.multiHandLandmarks[0];
-            this.processHand(hand);
+        detected.forEach(({ hand, landmarks, score }) => {
+            this.processHand(landmarks, hand, score, time);
+        });
+
+        // Hands that left the picture
+        for (const hand of Array.from(this.handStates.keys())) {
+            if (!detected.some(d => d.hand === hand)) {
+                this.loseHand(hand);
+            }
+        }
+    }
+
+    /**
+     * Label each detected hand 'left' or 'right'
+     *
+     * MediaPipe labels hands as if the image were mirrored, so on the raw
+     * webcam picture its 'Right' is the player's left hand.
+     *
+     * @returns {Array<object>} [{ hand, landmarks, score }]
+     */
+    identifyHands(results) {
+        const detected = [];
+        const landmarksList = results.multiHandLandmarks || [];
+
+        landmarksList.forEach((landmarks, index) => {
+            const handedness = results.multiHandedness && results.multiHandedness[index];
+            let hand = handedness && handedness.label === 'Left' ? 'right' : 'left';
+
+            // Both hands got the same label: give the second one the other
+            if (detected.some(d => d.hand === hand)) {
+                hand = hand === 'left' ? 'right' : 'left';
+                if (detected.some(d => d.hand === hand)) return;
+            }
+
+            detected.push({ hand, landmarks, score: handedness ? handedness.score : 1 });
+        });
+
+        return detected;
+    }
+
+    /**
+     * What a hand does (config.roles), e.g. 'pitch'
+     */
+    getRole(hand) {
+        return this.config.roles[hand] || hand;
+    }
+
+    /**
+     * Change what each hand does, e.g. setRoles({ left: 'pitch', right: 'volume' })
+     */
+    setRoles(roles) {
+        this.config.roles = { ...this.config.roles, ...roles };
+    }
+
+    /**
+     * Latest 'hand' event for a hand ('left' / 'right') or a role, or null
+     */
+    getHand(handOrRole) {
+        if (this.handStates.has(handOrRole)) {
+            return this.handStates.get(handOrRole);
+        }
+        for (const state of this.handStates.values()) {
+            if (state.role === handOrRole) return state;
+        }
+        return null;
+    }
+
+    /**
+     * Forget a hand that isn't in the picture any more
+     */
+    loseHand(hand) {
+        this.handStates.delete(hand);
+        this.activeFingers.forEach((active, fingerKey) => {
+            if (active.hand === hand) {
+                this.releaseFinger(fingerKey);
+            }
+        });
+        Object.keys(this.previousPositions).forEach(key => {
+            if (key.startsWith(`${hand}-`)) {
+                delete this.previousPositions[key];
+            }
+        });
+
+        if (this.gestures) {
+            this.emitGestures(this.gestures.reset(hand), hand);
         }
+
+        this.manager.emitMusicalEvent('hand-lost', { hand, role: this.getRole(hand) });
     }
 
     /**
-     * Draw video feed with hand skeleton overlay
+     * Send what HandGestures found as 'gesture' events
      */
-    drawVideoWithHands(results) {
+    emitGestures(gestures, hand, state = null) {
+        const role = this.getRole(hand);
+        gestures.forEach(gesture => {
+            this.manager.emitMusicalEvent('gesture', {
+                ...gesture,
+                hand: hand,
+                role: role,
+                x: state ? state.x : null,
+                y: state ? state.y : null
+            });
+        });
+    }
+
+    /**
+     * Where each finger is and whether it's stretched out
+     */
+    getFingers(landmarks) {
+        const wrist = landmarks[0];
+        const pinkyBase = landmarks[17];
+        const fingers = {};
+
+        Object.entries(MEDIAPIPE_FINGERS).forEach(([name, { tip, joint }]) => {
+            const tipPoint = landmarks[tip];
+            const jointPoint = landmarks[joint];
+
+            // Stretched out: the tip is further from the hand than the joint
+            // (the thumb measured from the pinky side, so it works across the palm)
+            const base = name === 'thumb' ? pinkyBase : wrist;
+            const extended = Math.hypot(tipPoint.x - base.x, tipPoint.y - base.y) >
+                Math.hypot(jointPoint.x - base.x, jointPoint.y - base.y);
+
+            fingers[name] = {
+                tip: tip,
+                x: 1 - tipPoint.x,
+                y: tipPoint.y,
+                z: tipPoint.z || 0,
+                extended: extended
+            };
+        });
+
+        return fingers;
+    }
+
+    /**
+     * Draw video feed with hand skeleton overlay (left hand green, right blue)
+     */
+    drawVideoWithHands(image, detected) {
         const ctx = this.videoCanvasCtx;
         const width = this.videoCanvas.width;
         const height = this.videoCanvas.height;
@@ -200,20 +659,23 @@ class MediaPipeInput {
         ctx.translate(width, 0);
         ctx.scale(-1, 1);
         
-        // Draw video frame
-        ctx.drawImage(results.image, 0, 0, width, height);
-        
-        // Draw hand skeleton if present
-        if (results.multiHandLandmarks && results.multiHandLandmarks.length > 0) {
-            for (const landmarks of results.multiHandLandmarks) {
-                // Draw connections (bones)
-                this.drawConnectors(ctx, landmarks, width, height);
-                
-                // Draw landmarks (joints)
-                this.drawLandmarks(ctx, landmarks, width, height);
-            }
+        // Draw video frame (replays have none)
+        if (image) {
+            ctx.drawImage(image, 0, 0, width, height);
+        } else {
+            ctx.fillStyle = '#000';
+            ctx.fillRect(0, 0, width, height);
         }
         
+        // Draw hand skeletons
+        detected.forEach(({ hand, landmarks }) => {
+            // Draw connections (bones)
+            this.drawConnectors(ctx, landmarks, width, height, MEDIAPIPE_HAND_COLORS[hand]);
+            
+            // Draw landmarks (joints)
+            this.drawLandmarks(ctx, landmarks, width, height);
+        });
+        
         // Restore context
         ctx.restore();
     }
@@ -221,7 +683,7 @@ class MediaPipeInput {
     /**
      * Draw hand connectors (bones)
      */
-    drawConnectors(ctx, landmarks, width, height) {
+    drawConnectors(ctx, landmarks, width, height, color = '#00ff00') {
         const connections = [
             [0, 1], [1, 2], [2, 3], [3, 4],           // Thumb
             [0, 5], [5, 6], [6, 7], [7, 8],           // Index
@@ -231,7 +693,7 @@ class MediaPipeInput {
             [5, 9], [9, 13], [13, 17]                 // Palm
         ];
 
-        ctx.strokeStyle = '#00ff00';
+        ctx.strokeStyle = color;
         ctx.lineWidth = 2;
 
         connections.forEach(([start, end]) => {
@@ -269,11 +731,37 @@ class MediaPipeInput {
     }
 
     /**
-     * Process hand landmarks and detect line crossings
+     * Process hand landmarks: hand and finger events, then line crossings
      */
-    processHand(hand) {
+    processHand(landmarks, hand = 'right', score = 1, time = performance.now()) {
+        const role = this.getRole(hand);
+        const point = landmarks[this.config.landmark];
+        const fingers = this.getFingers(landmarks);
+
+        const state = {
+            hand: hand,
+            role: role,
+            x: 1 - point.x,
+            y: point.y,
+            score: score,
+            fingers: fingers,
+            landmarks: landmarks
+        };
+        this.handStates.set(hand, state);
+        this.manager.emitMusicalEvent('hand', state);
+
+        Object.entries(fingers).forEach(([finger, data]) => {
+            this.manager.emitMusicalEvent('finger', { hand, role, finger, ...data });
+        });
+
+        if (this.gestures) {
+            this.emitGestures(this.gestures.update(state, time), hand, state);
+        }
+
+        if (this.config.triggerMode === 'none') return;
+
         this.config.fingerTips.forEach(tipIndex => {
-            const tip = hand[tipIndex];
+            const tip = landmarks[tipIndex];
             
             if (!tip) return;
 
@@ -283,89 +771,188 @@ class MediaPipeInput {
             // Convert normalized coords (0-1) to screen coords
             const screenX = flippedX * window.innerWidth;
             const screenY = tip.y * window.innerHeight;
-            const lineYPixels = this.config.lineY * window.innerHeight;
 
-            // Check if finger crossed the line
-            const crossed = this.checkLineCrossing(tipIndex, tip.y);
+            // Start, glide or end this finger's note (or trigger, or control)
+            const playing = this.updateFinger(`${hand}-${tipIndex}`, flippedX, tip.y, tipIndex, hand, time);
 
             // Draw finger dot
-            if (this.config.showFingerDots) {
-                this.drawFingerDot(screenX, screenY, crossed);
-            }
-
-            // Trigger note if crossed
-            if (crossed) {
-                this.triggerNote(flippedX, tip.y, tipIndex);
+            if (this.config.showFingerDots && this.canvasCtx) {
+                this.drawFingerDot(screenX, screenY, playing);
             }
         });
     }
 
     /**
-     * Check if finger crossed the line
+     * Follow one fingertip through the zones
+     *
+     * @returns {boolean} Whether the finger is in a zone
      */
-    checkLineCrossing(fingerIndex, currentY) {
-        const prevY = this.previousPositions[fingerIndex];
-        
+    updateFinger(fingerKey, x, y, fingerIndex, hand, time) {
+        const previous = this.previousPositions[fingerKey];
+
         // Store current position for next frame
-        this.previousPositions[fingerIndex] = currentY;
+        this.previousPositions[fingerKey] = { x, y, time };
 
-        // First frame - no previous position
-        if (prevY === undefined) {
-            return false;
+        // In a zone: stay there (glide, control) until the finger leaves it
+        const active = this.activeFingers.get(fingerKey);
+        if (active) {
+            const zone = this.zones.get(active.zone);
+            if (zone && this.zones.contains(zone, x, y, this.config.releaseMargin)) {
+                this.holdZone(fingerKey, zone, x, y);
+                return true;
+            }
+            this.releaseFinger(fingerKey);
         }
 
-        // Check for crossing based on mode
-        if (this.config.triggerMode === 'cross') {
-            // Trigger only when crossing from above to below
-            return (prevY < this.config.lineY && currentY >= this.config.lineY);
-        } else if (this.config.triggerMode === 'continuous') {
-            // Trigger continuously while below line
-            return currentY >= this.config.lineY;
+        const zone = this.zones.hitTest(x, y);
+        if (!zone) return false;
+
+        // Came in from outside (lines: from above) - or is just there, in 'continuous' mode
+        const entered = previous !== undefined && (zone.type === 'line'
+            ? previous.y < zone.y
+            : !this.zones.contains(zone, previous.x, previous.y));
+        if (!entered && this.config.triggerMode !== 'continuous') return false;
+
+        let velocity = this.config.velocity;
+        if (entered) {
+            const seconds = Math.max(time - previous.time, 1) / 1000;
+            const moved = zone.type === 'line' ? y - previous.y : Math.hypot(x - previous.x, y - previous.y);
+            velocity = this.speedToVelocity(moved / seconds);
         }
 
-        return false;
+        this.enterZone(fingerKey, zone, x, y, fingerIndex, hand, velocity);
+        return true;
     }
 
     /**
-     * Trigger a note
+     * Crossing speed (screen heights per second) to velocity
      */
-    triggerNote(normalizedX, normalizedY, fingerIndex) {
-        // Map X position to note (like mouse input)
-        const note = Math.floor(
-            map(normalizedX, 0, 1, this.config.minNote, this.config.maxNote)
-        );
+    speedToVelocity(speed) {
+        return clamp(map(speed, 0, this.config.maxSpeed, 0.2, 1.0), 0.2, 1.0);
+    }
 
-        // Convert to screen coordinates for visual feedback
-        const screenX = normalizedX * window.innerWidth;
-        const screenY = normalizedY * window.innerHeight;
+    /**
+     * A finger came into a zone: note, trigger or control
+     */
+    enterZone(fingerKey, zone, x, y, fingerIndex, hand, velocity) {
+        const active = { zone: zone.id, note: null, velocity, fingerIndex, hand };
+        this.activeFingers.set(fingerKey, active);
+
+        if (zone.action === 'note') {
+            active.note = Math.floor(this.zones.getPitch(zone, x, y));
+            this.emitNoteOn(active, x, y, false);
+            console.log(`🎵 MediaPipe note: ${active.note} (${hand} hand, finger ${fingerIndex})`);
+        } else if (zone.action === 'trigger') {
+            this.manager.emitMusicalEvent('trigger', {
+                index: zone.index,
+                velocity: velocity,
+                x: x * window.innerWidth,
+                y: y * window.innerHeight,
+                fingerIndex: fingerIndex,
+                hand: hand,
+                role: this.getRole(hand),
+                zone: zone.id
+            });
+        } else {
+            this.holdZone(fingerKey, zone, x, y);
+        }
+    }
+
+    /**
+     * A finger moving inside its zone
+     */
+    holdZone(fingerKey, zone, x, y) {
+        const active = this.activeFingers.get(fingerKey);
+
+        if (zone.action === 'control') {
+            this.manager.emitMusicalEvent('control-change', {
+                control: zone.control,
+                value: this.zones.getValue(zone, x, y),
+                channel: zone.channel,
+                fingerIndex: active.fingerIndex,
+                hand: active.hand,
+                role: this.getRole(active.hand),
+                zone: zone.id
+            });
+        } else if (this.zones.isGlissando(zone)) {
+            this.glide(active, zone, x, y);
+        }
+    }
 
-        // Emit note-on event
+    emitNoteOn(active, normalizedX, normalizedY, legato) {
+        // Screen coordinates for visual feedback
         this.manager.emitMusicalEvent('note-on', {
+            note: active.note,
+            velocity: active.velocity,
+            x: normalizedX * window.innerWidth,
+            y: normalizedY * window.innerHeight,
+            fingerIndex: active.fingerIndex,
+            hand: active.hand,
+            role: this.getRole(active.hand),
+            legato: legato,
+            zone: active.zone
+        });
+    }
+
+    emitNoteOff(active, note, legato) {
+        this.manager.emitMusicalEvent('note-off', {
             note: note,
-            velocity: 0.7,
-            x: screenX,
-            y: screenY,
-            fingerIndex: fingerIndex
+            fingerIndex: active.fingerIndex,
+            hand: active.hand,
+            role: this.getRole(active.hand),
+            legato: legato,
+            zone: active.zone
         });
+    }
 
-        console.log(`🎵 MediaPipe note: ${note} (finger ${fingerIndex})`);
+    /**
+     * Finger moving along a line or strip: exact pitch, and the next note once
+     * it's well past the edge of the current one (so it doesn't flicker between two)
+     */
+    glide(active, zone, x, y) {
+        const pitch = this.zones.getPitch(zone, x, y);
+
+        if (this.config.glide && (pitch < active.note - 0.2 || pitch >= active.note + 1.2)) {
+            const previousNote = active.note;
+            active.note = Math.floor(pitch);
+
+            // Legato: the new note starts before the old one ends
+            this.emitNoteOn(active, x, y, true);
+            this.emitNoteOff(active, previousNote, true);
+        }
+
+        this.manager.emitMusicalEvent('continuous', {
+            x: x,
+            y: y,
+            pressure: active.velocity,
+            note: active.note,
+            pitch: pitch,
+            bend: pitch - active.note,
+            fingerIndex: active.fingerIndex,
+            hand: active.hand,
+            role: this.getRole(active.hand),
+            zone: active.zone
+        });
     }
 
     /**
-     * Draw the horizontal trigger line
+     * A finger left its zone: end its note
      */
-    drawTriggerLine() {
-        const y = this.config.lineY * window.innerHeight;
-        const ctx = this.canvasCtx;
+    releaseFinger(fingerKey) {
+        const active = this.activeFingers.get(fingerKey);
+        if (!active) return;
 
-        ctx.beginPath();
-        ctx.setLineDash([10, 10]); // Dashed line
-        ctx.strokeStyle = '#4caf50';
-        ctx.lineWidth = 3;
-        ctx.moveTo(0, y);
-        ctx.lineTo(window.innerWidth, y);
-        ctx.stroke();
-        ctx.setLineDash([]); // Reset
+        this.activeFingers.delete(fingerKey);
+        if (active.note !== null) {
+            this.emitNoteOff(active, active.note, false);
+        }
+    }
+
+    /**
+     * Let go of every finger's note
+     */
+    releaseAll() {
+        Array.from(this.activeFingers.keys()).forEach(fingerKey => this.releaseFinger(fingerKey));
     }
 
     /**
@@ -393,6 +980,21 @@ class MediaPipeInput {
     cleanup() {
         console.log('🧹 Cleaning up MediaPipe...');
 
+        // Let go of every held note
+        this.releaseAll();
+        this.zones.stopEditing();
+
+        if (this.editButton) {
+            this.editButton.remove();
+            this.editButton = null;
+        }
+
+        if (this.stopReplay) {
+            this.stopReplay();
+            this.stopReplay = null;
+        }
+        this.replayRecording = null;
+
         if (this.camera) {
             this.camera.stop();
             this.camera = null;
@@ -419,10 +1021,13 @@ class MediaPipeInput {
         }
 
         this.previousPositions = {};
-        this.activeNotes.clear();
+        this.activeFingers.clear();
+        this.handStates.clear();
+        this.recording = null;
     }
 }
 
 // Make available globally
 window.MediaPipeInput = MediaPipeInput;
+window.MEDIAPIPE_MODEL_PATH = MEDIAPIPE_MODEL_PATH;
 
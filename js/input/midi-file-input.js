@@ -0,0 +1,312 @@
+/**
+ * Musical Instrument Sandbox - MIDI File Input
+ *
+ * A virtual input that plays a Standard MIDI File (.mid) as if someone
+ * were playing it live: its notes go out as InputManager events, so any
+ * visuals that react to 'note-on' react to the file too.
+ *
+ * Load a file by dropping it on config.dropTarget, with openFilePicker(),
+ * or with load(). Playback starts as soon as a file is loaded.
+ *
+ * With config.outputManager the notes are also played through the current
+ * output, scheduled ahead on the audio clock. Those events carry
+ * played: true - the sound is taken care of, so handlers should draw
+ * them but not play them again:
+ *
+ *   inputManager.addEventListener('note-on', (e) => {
+ *       if (!e.detail.played) outputManager.playNote(e.detail.note);
+ *       drawNote(e.detail.note);
+ *   });
+ *
+ * Channel 10 (General MIDI drums) only plays when the output is 'drums',
+ * and the drum channel is silent on the other sound outputs. MIDI Output
+ * gets every note on its own channel, so multi-timbral synths play each part.
+ *
+ * Events (on this object, not InputManager):
+ * - 'load' → { name, duration, notes }
+ * - 'play' / 'stop' / 'end'
+ *
+ * USAGE:
+ *   await inputManager.enableInput('file', { outputManager, dropTarget: document.body });
+ *   const fileInput = inputManager.inputModules.file;
+ *   button.onclick = () => fileInput.openFilePicker();
+ */
+
+class MidiFileInput extends EventTarget {
+    /**
+     * @param {InputManager} manager
+     * @param {object} config
+     * @param {AudioOutputManager} config.outputManager - Play notes through this (optional)
+     * @param {HTMLElement} config.dropTarget - Accept dropped .mid files here (default: document.body)
+     * @param {boolean} config.autoPlay - Start playing when a file loads (default: true)
+     * @param {boolean} config.loop - Start again at the end (default: false)
+     */
+    constructor(manager, config = {}) {
+        super();
+        this.manager = manager;
+        this.outputManager = config.outputManager || null;
+        this.dropTarget = config.dropTarget || document.body;
+        this.autoPlay = config.autoPlay !== false;
+        this.loop = !!config.loop;
+
+        this.drumChannel = 9;
+        this.lookAhead = 25;          // How often to schedule (ms)
+        this.scheduleAheadTime = 0.2; // How far ahead to schedule (s)
+
+        this.song = null;
+        this.notes = [];
+        this.controls = [];
+        this.name = '';
+
+        this.playing = false;
+        this.startTime = 0;
+        this.nextNote = 0;
+        this.nextControl = 0;
+        this.timer = null;
+        this.pending = new Set();     // Timeouts for events already scheduled
+        this.sounding = new Set();    // Notes sent note-on but not note-off yet: { note, channel }
+
+        this.setupListeners();
+    }
+
+    setupListeners() {
+        const handleDragOver = (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+        };
+
+        const handleDrop = (e) => {
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (!file) return;
+            e.preventDefault();
+            this.load(file).catch(error => console.error('❌ Could not load MIDI file:', error));
+        };
+
+        this.dropTarget.addEventListener('dragover', handleDragOver);
+        this.dropTarget.addEventListener('drop', handleDrop);
+
+        // Store for cleanup
+        this.listeners = [
+            { element: this.dropTarget, event: 'dragover', handler: handleDragOver },
+            { element: this.dropTarget, event: 'drop', handler: handleDrop }
+        ];
+    }
+
+    /**
+     * Show the browser's file picker (call from a click handler)
+     */
+    openFilePicker() {
+        const picker = document.createElement('input');
+        picker.type = 'file';
+        picker.accept = '.mid,.midi,audio/midi';
+        picker.addEventListener('change', () => {
+            if (picker.files[0]) {
+                this.load(picker.files[0]).catch(error => console.error('❌ Could not load MIDI file:', error));
+            }
+        });
+        picker.click();
+    }
+
+    /**
+     * Load a MIDI file
+     *
+     * @param {File|Blob|ArrayBuffer|Uint8Array|string} source - A file, raw bytes, or a URL
+     * @returns {Promise<object>} { name, duration, notes }
+     */
+    async load(source) {
+        let buffer;
+        let name = 'MIDI file';
+
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to fetch ${source}: ${response.status}`);
+            }
+            buffer = await response.arrayBuffer();
+            name = source.split('/').pop();
+        } else if (source instanceof Blob) {
+            buffer = await source.arrayBuffer();
+            name = source.name || name;
+        } else {
+            buffer = source;
+        }
+
+        this.stop();
+
+        this.song = MidiFile.parse(buffer);
+        this.notes = MidiFile.getNotes(this.song);
+        this.controls = this.getControls(this.song);
+        this.name = name;
+
+        const info = { name, duration: this.song.duration, notes: this.notes.length };
+        this.dispatchEvent(new CustomEvent('load', { detail: info }));
+        console.log(`📄 Loaded ${name}: ${info.notes} notes`);
+
+        if (this.autoPlay) {
+            this.play();
+        }
+        return info;
+    }
+
+    /**
+     * Controller events from every track, with times in seconds
+     */
+    getControls(song) {
+        const controls = [];
+        song.tracks.forEach(track => track.events.forEach(event => {
+            if (event.type === 'controlChange') {
+                controls.push({
+                    control: event.control,
+                    value: event.value / 127,
+                    channel: event.channel,
+                    time: MidiFile.ticksToSeconds(song, event.tick)
+                });
+            }
+        }));
+        return controls.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Play the loaded file from the start
+     */
+    play() {
+        if (!this.song) return;
+
+        this.stop();
+
+        this.playing = true;
+        this.startTime = this.now() + 0.1;
+        this.nextNote = 0;
+        this.nextControl = 0;
+
+        this.timer = setInterval(() => this.schedule(), this.lookAhead);
+        this.schedule();
+
+        this.dispatchEvent(new CustomEvent('play'));
+        console.log(`▶️ Playing ${this.name}`);
+    }
+
+    /**
+     * Stop playback and release every sounding note
+     */
+    stop() {
+        if (!this.playing) return;
+
+        this.playing = false;
+        clearInterval(this.timer);
+        this.timer = null;
+
+        this.pending.forEach(timeout => clearTimeout(timeout));
+        this.pending.clear();
+
+        // Their note-offs were among the cancelled timeouts
+        this.sounding.forEach(({ note, channel }) => {
+            this.manager.emitMusicalEvent('note-off', { note, channel, source: 'file' });
+        });
+        this.sounding.clear();
+
+        if (this.outputManager) {
+            this.outputManager.stopAll();
+        }
+
+        this.dispatchEvent(new CustomEvent('stop'));
+    }
+
+    /**
+     * Current time in seconds (the audio clock when there is one)
+     */
+    now() {
+        return this.outputManager && this.outputManager.audioContext
+            ? this.outputManager.audioContext.currentTime
+            : performance.now() / 1000;
+    }
+
+    /**
+     * Queue everything that starts before the look-ahead horizon
+     */
+    schedule() {
+        const horizon = this.now() + this.scheduleAheadTime;
+
+        while (this.nextNote < this.notes.length && this.startTime + this.notes[this.nextNote].time < horizon) {
+            this.scheduleNote(this.notes[this.nextNote]);
+            this.nextNote++;
+        }
+
+        while (this.nextControl < this.controls.length && this.startTime + this.controls[this.nextControl].time < horizon) {
+            const { control, value, channel, time } = this.controls[this.nextControl];
+            this.at(this.startTime + time, () => {
+                this.manager.emitMusicalEvent('control-change', { control, value, channel, source: 'file' });
+            });
+            this.nextControl++;
+        }
+
+        if (this.nextNote >= this.notes.length && this.nextControl >= this.controls.length) {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.at(this.startTime + this.song.duration, () => this.finish());
+        }
+    }
+
+    scheduleNote({ note, velocity, channel, time, duration }) {
+        const start = this.startTime + time;
+        const played = !!this.outputManager;
+
+        if (this.shouldPlay(channel)) {
+            this.outputManager.playNote(note, duration, velocity, start, channel);
+        }
+
+        // Visual events follow the audio as closely as timers allow
+        const sounding = { note, channel };
+        this.at(start, () => {
+            this.sounding.add(sounding);
+            this.manager.emitMusicalEvent('note-on', { note, velocity, channel, duration, played, source: 'file' });
+        });
+        this.at(start + duration, () => {
+            this.sounding.delete(sounding);
+            this.manager.emitMusicalEvent('note-off', { note, channel, source: 'file' });
+        });
+    }
+
+    /**
+     * Drums only on the drums output, everything else everywhere but the drums output
+     * (MIDI Output plays everything)
+     */
+    shouldPlay(channel) {
+        if (!this.outputManager) return false;
+        if (this.outputManager.currentOutput === 'midiout') return true;
+        const isDrums = this.outputManager.currentOutput === 'drums';
+        return (channel === this.drumChannel) === isDrums;
+    }
+
+    /**
+     * Run a callback when the clock reaches a time (seconds)
+     */
+    at(time, callback) {
+        const timeout = setTimeout(() => {
+            this.pending.delete(timeout);
+            callback();
+        }, Math.max(0, (time - this.now()) * 1000));
+        this.pending.add(timeout);
+    }
+
+    finish() {
+        this.playing = false;
+        this.dispatchEvent(new CustomEvent('end'));
+
+        if (this.loop) {
+            this.play();
+        }
+    }
+
+    cleanup() {
+        this.stop();
+        this.listeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.listeners = [];
+    }
+}
+
+// Make available globally
+window.MidiFileInput = MidiFileInput;
@@ -0,0 +1,339 @@
+/**
+ * Musical Instrument Sandbox - MIDI Learn
+ *
+ * Bind knobs and faders on a MIDI controller to any control on the page:
+ * turn on learn mode, click a slider (or select, checkbox, button), move a
+ * knob - done. The control then follows that knob.
+ *
+ * Controls are driven like the user moved them (value + 'input'/'change'
+ * events), so the page's existing handlers do the rest.
+ *
+ * - Sliders:    CC value → min..max along a curve
+ * - Selects:    CC range split evenly between the options
+ * - Checkboxes: on above the middle
+ * - Buttons:    clicked when the CC goes past the middle (e.g. a pad)
+ *
+ * Mappings are saved in localStorage per page, and can be exported and
+ * imported as JSON:
+ *   { version: 1, mappings: { attack: { control: 74, channel: 0, min, max, curve } } }
+ *
+ * Events:
+ * - 'learn-mode' → { enabled }
+ * - 'learning'   → { id } - waiting for a knob for this control
+ * - 'mapped'     → { id, mapping }
+ * - 'unmapped'   → { id }
+ *
+ * USAGE:
+ *   const midiLearn = new MidiLearn(inputManager);   // 'midi' input enabled
+ *   midiLearn.addControl(document.getElementById('attack'), { curve: 'exponential' });
+ *   midiLearn.setLearnMode(true);
+ */
+
+// How the 0-1 controller value spreads over a slider's min..max
+const MIDI_LEARN_CURVES = {
+    linear: (value) => value,
+    exponential: (value) => value * value,       // Fine control at the low end (times, frequencies)
+    logarithmic: (value) => Math.sqrt(value)     // Fine control at the high end
+};
+
+class MidiLearn extends EventTarget {
+    /**
+     * @param {InputManager} inputManager - Source of 'control-change' events
+     * @param {object} options
+     * @param {string} options.storageKey - localStorage key (default: per page path)
+     */
+    constructor(inputManager, options = {}) {
+        super();
+        this.inputManager = inputManager;
+        this.storageKey = options.storageKey || `midi-learn:${location.pathname}`;
+
+        this.controls = new Map();   // id → { element, options, title }
+        this.mappings = {};          // id → { control, channel, min, max, curve }
+        this.learnMode = false;
+        this.learning = null;        // id waiting for a knob
+        this.lastValues = new Map(); // id → last 0-1 value (button edges)
+
+        this.handleControlChange = (e) => this.onControlChange(e.detail);
+        this.inputManager.addEventListener('control-change', this.handleControlChange);
+
+        // Capture phase: clicking a control in learn mode selects it instead of changing it
+        this.handlePointerDown = (e) => this.onPointerDown(e);
+        document.addEventListener('pointerdown', this.handlePointerDown, true);
+        document.addEventListener('mousedown', this.handlePointerDown, true);
+        this.handleClick = (e) => {
+            if (this.learnMode && this.findControl(e.target)) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+        };
+        document.addEventListener('click', this.handleClick, true);
+
+        this.load();
+    }
+
+    /**
+     * Make a control learnable
+     *
+     * @param {HTMLElement} element - input[type=range|checkbox|number], select or button
+     * @param {object} options
+     * @param {string} options.id - Mapping name (default: element.id)
+     * @param {number} options.min - Slider value at CC 0 (default: element.min)
+     * @param {number} options.max - Slider value at CC 127 (default: element.max)
+     * @param {string} options.curve - 'linear', 'exponential' or 'logarithmic' (default: 'linear')
+     */
+    addControl(element, options = {}) {
+        const id = options.id || element.id;
+        if (!id) {
+            throw new Error('MIDI Learn controls need an id');
+        }
+
+        element.dataset.midiLearn = id;
+        this.controls.set(id, { element, options, title: element.title });
+        this.updateElement(id);
+    }
+
+    /**
+     * Turn learn mode on or off
+     */
+    setLearnMode(enabled) {
+        this.learnMode = enabled;
+        this.setLearning(null);
+        document.body.classList.toggle('midi-learn-mode', enabled);
+        this.dispatchEvent(new CustomEvent('learn-mode', { detail: { enabled } }));
+    }
+
+    /**
+     * Wait for a knob for a control (null = stop waiting)
+     */
+    setLearning(id) {
+        if (this.learning && this.controls.has(this.learning)) {
+            this.controls.get(this.learning).element.classList.remove('midi-learn-waiting');
+        }
+
+        this.learning = id;
+
+        if (id) {
+            this.controls.get(id).element.classList.add('midi-learn-waiting');
+            this.dispatchEvent(new CustomEvent('learning', { detail: { id } }));
+        }
+    }
+
+    onPointerDown(e) {
+        if (!this.learnMode) return;
+
+        const element = this.findControl(e.target);
+        if (!element) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+        this.setLearning(element.dataset.midiLearn);
+    }
+
+    /**
+     * The learnable control an event target belongs to
+     */
+    findControl(target) {
+        const element = target.closest ? target.closest('[data-midi-learn]') : null;
+        return element && this.controls.has(element.dataset.midiLearn) ? element : null;
+    }
+
+    onControlChange({ control, value, channel = 0 }) {
+        // Learning: bind this knob to the waiting control
+        if (this.learning) {
+            const id = this.learning;
+            this.map(id, { control, channel });
+            this.setLearning(null);
+        }
+
+        Object.entries(this.mappings).forEach(([id, mapping]) => {
+            if (mapping.control === control && mapping.channel === channel) {
+                this.applyValue(id, value);
+            }
+        });
+    }
+
+    /**
+     * Bind a controller to a control
+     *
+     * @param {string} id
+     * @param {object} mapping - { control, channel, min, max, curve } - range and curve
+     *                           default to the control's options
+     */
+    map(id, mapping) {
+        const { element, options } = this.controls.get(id) || { element: null, options: {} };
+
+        // A knob drives one control: drop its old binding
+        Object.keys(this.mappings).forEach(other => {
+            const existing = this.mappings[other];
+            if (other !== id && existing.control === mapping.control && existing.channel === mapping.channel) {
+                this.unmap(other);
+            }
+        });
+
+        const min = options.min !== undefined ? options.min : parseFloat(element && element.min);
+        const max = options.max !== undefined ? options.max : parseFloat(element && element.max);
+
+        this.mappings[id] = {
+            control: mapping.control,
+            channel: mapping.channel || 0,
+            min: mapping.min !== undefined ? mapping.min : (isNaN(min) ? 0 : min),
+            max: mapping.max !== undefined ? mapping.max : (isNaN(max) ? 1 : max),
+            curve: mapping.curve || options.curve || 'linear'
+        };
+
+        this.save();
+        this.updateElement(id);
+        this.dispatchEvent(new CustomEvent('mapped', { detail: { id, mapping: this.mappings[id] } }));
+        console.log(`🎛️ CC ${mapping.control} → ${id}`);
+    }
+
+    /**
+     * Remove a control's binding
+     */
+    unmap(id) {
+        if (!this.mappings[id]) return;
+
+        delete this.mappings[id];
+        this.save();
+        this.updateElement(id);
+        this.dispatchEvent(new CustomEvent('unmapped', { detail: { id } }));
+    }
+
+    /**
+     * Remove every binding
+     */
+    clear() {
+        Object.keys(this.mappings).forEach(id => this.unmap(id));
+    }
+
+    /**
+     * Set a control from a 0-1 controller value
+     */
+    applyValue(id, value) {
+        const control = this.controls.get(id);
+        if (!control) return;
+
+        const { element } = control;
+        const mapping = this.mappings[id];
+        if (element.disabled) return;
+
+        const previous = this.lastValues.has(id) ? this.lastValues.get(id) : 0;
+        this.lastValues.set(id, value);
+
+        if (element.tagName === 'SELECT') {
+            const index = Math.min(element.options.length - 1, Math.floor(value * element.options.length));
+            if (element.selectedIndex !== index) {
+                element.selectedIndex = index;
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        } else if (element.type === 'checkbox') {
+            const checked = value >= 0.5;
+            if (element.checked !== checked) {
+                element.checked = checked;
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+        } else if (element.tagName === 'BUTTON') {
+            // Press on the way up only
+            if (value >= 0.5 && previous < 0.5) {
+                element.click();
+            }
+        } else {
+            const curve = MIDI_LEARN_CURVES[mapping.curve] || MIDI_LEARN_CURVES.linear;
+            element.value = mapping.min + curve(value) * (mapping.max - mapping.min);
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
+
+    /**
+     * Mark mapped controls and show their CC in the tooltip
+     */
+    updateElement(id) {
+        const control = this.controls.get(id);
+        if (!control) return;
+
+        const mapping = this.mappings[id];
+        control.element.classList.toggle('midi-learn-mapped', !!mapping);
+        control.element.title = mapping
+            ? `MIDI CC ${mapping.control} (channel ${mapping.channel + 1})`
+            : control.title;
+    }
+
+    // ========================================
+    // SAVE / LOAD
+    // ========================================
+
+    toJSON() {
+        return { version: 1, mappings: this.mappings };
+    }
+
+    /**
+     * Replace all mappings
+     *
+     * @param {object|string} json - From toJSON() / exportJSON()
+     */
+    fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || typeof data.mappings !== 'object') {
+            throw new Error('Not a MIDI Learn mapping file');
+        }
+
+        this.mappings = {};
+        Object.entries(data.mappings).forEach(([id, mapping]) => {
+            this.mappings[id] = { ...mapping };
+        });
+        this.save();
+        this.controls.forEach((control, id) => this.updateElement(id));
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.warn('Could not save MIDI mappings:', error);
+        }
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                this.fromJSON(saved);
+            }
+        } catch (error) {
+            console.warn('Could not load MIDI mappings:', error);
+        }
+    }
+
+    /**
+     * Does this page have saved mappings? (e.g. to turn MIDI on at start)
+     */
+    hasMappings() {
+        return Object.keys(this.mappings).length > 0;
+    }
+
+    /**
+     * Download the mappings as a .json file
+     */
+    exportJSON(filename = 'midi-mappings.json') {
+        const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    cleanup() {
+        this.setLearnMode(false);
+        this.inputManager.removeEventListener('control-change', this.handleControlChange);
+        document.removeEventListener('pointerdown', this.handlePointerDown, true);
+        document.removeEventListener('mousedown', this.handlePointerDown, true);
+        document.removeEventListener('click', this.handleClick, true);
+    }
+}
+
+// Make available globally
+window.MidiLearn = MidiLearn;
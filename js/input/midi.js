@@ -3,7 +3,33 @@
  * 
  * Handles MIDI device input using Web MIDI API.
  * 
- * Automatically detects and connects to MIDI devices.
+ * Automatically detects and connects to MIDI devices - all of them, or
+ * only config.device. With no device plugged in it waits, and picks up
+ * devices as they are plugged in.
+ * 
+ * CONFIG:
+ * - device:   Device id or (part of) its name, e.g. 'Launchkey' (default: all devices)
+ * - channels: Channel 0-15 or an array of channels to listen to (default: all = omni)
+ * - pedals:   Hold notes with the sustain/sostenuto pedals (default: true)
+ * - sysex:    Ask for system exclusive access (default: false)
+ * - midiAccess: A MIDIAccess to use instead of MidiAccess.request() (e.g. VirtualMidi)
+ * 
+ * EVENTS (through InputManager, channel is 0-15):
+ * - 'note-on' / 'note-off'  → { note, velocity, channel }
+ * - 'control-change'        → { control, value (0-1), channel }
+ * - 'pitch-bend'            → { value (-1 to 1, 0 = centre), channel }
+ * - 'aftertouch'            → { pressure (0-1), note (poly) or null (channel), channel }
+ * - 'program-change'        → { program (0-127), channel }
+ * - 'clock'                 → { timestamp } - 24 per quarter note
+ * - 'transport'             → { action: 'start' | 'continue' | 'stop' | 'position', position }
+ * - 'sysex'                 → { data } - only with config.sysex (the browser asks permission)
+ * - 'device-connected'      → { id, name, manufacturer } - a device we listen to
+ * - 'device-disconnected'   → { id, name, manufacturer }
+ * 
+ * PEDALS: the sustain (CC64) and sostenuto (CC66) pedals hold notes the
+ * way a piano does - their note-offs are sent when the pedal lifts, so
+ * pages only need note-on / note-off. Set config.pedals = false to get the
+ * raw note-offs instead (the pedal control-change events are sent either way).
  */
 
 class MidiInput {
@@ -12,6 +38,16 @@ class MidiInput {
         this.midiAccess = null;
         this.connectedInputs = new Map();
         this.config = config;
+        this.pedals = config.pedals !== false;
+        this.device = config.device || null;
+        this.channels = null;
+        this.setChannels(config.channels);
+
+        // Per channel: { held, sustained, sostenutoNotes, sustain, sostenuto }
+        this.channelState = new Map();
+
+        this.messageHandler = (message) => this.handleMidiMessage(message);
+        this.stateChangeHandler = (e) => this.handleStateChange(e);
     }
 
     /**
@@ -27,26 +63,25 @@ class MidiInput {
      * Initialize Web MIDI API
      */
     async init() {
-        if (!navigator.requestMIDIAccess) {
+        if (!this.config.midiAccess && !MidiAccess.isSupported()) {
             throw new Error('Web MIDI API not supported in this browser');
         }
 
         try {
-            this.midiAccess = await navigator.requestMIDIAccess();
+            // config.midiAccess: an injected MIDIAccess (e.g. VirtualMidi in tests)
+            this.midiAccess = this.config.midiAccess || await MidiAccess.request({ sysex: !!this.config.sysex });
             console.log('🎹 MIDI Access granted');
 
             // Connect to existing inputs
             this.connectToInputs();
 
-            // Listen for device changes
-            this.midiAccess.onstatechange = (e) => {
-                this.handleStateChange(e);
-            };
+            // Listen for device changes (hot-plugging) - a listener, not onstatechange,
+            // as other MidiInputs share this MIDIAccess
+            this.midiAccess.addEventListener('statechange', this.stateChangeHandler);
 
-            const inputCount = this.midiAccess.inputs.size;
+            const inputCount = this.connectedInputs.size;
             if (inputCount === 0) {
-                console.warn('⚠️ No MIDI devices detected. Please connect a MIDI controller.');
-                throw new Error('No MIDI devices detected');
+                console.warn('⚠️ No MIDI devices detected. Waiting for a MIDI controller to be plugged in...');
             } else {
                 console.log(`✅ Connected to ${inputCount} MIDI device(s)`);
             }
@@ -58,11 +93,13 @@ class MidiInput {
     }
 
     /**
-     * Connect to all available MIDI inputs
+     * Connect to all available MIDI inputs (that match config.device)
      */
     connectToInputs() {
         for (const input of this.midiAccess.inputs.values()) {
-            this.connectInput(input);
+            if (input.state !== 'disconnected' && this.matchesDevice(input)) {
+                this.connectInput(input);
+            }
         }
     }
 
@@ -70,13 +107,30 @@ class MidiInput {
      * Connect to a specific MIDI input
      */
     connectInput(input) {
+        if (this.connectedInputs.has(input.id)) return;
+
         console.log(`🎹 Connecting to: ${input.name}`);
         
-        input.onmidimessage = (message) => {
-            this.handleMidiMessage(message);
-        };
+        // A listener rather than onmidimessage, so pages can listen to the same port
+        // (unlike onmidimessage, a listener doesn't open the port by itself)
+        input.addEventListener('midimessage', this.messageHandler);
+        if (input.open) {
+            input.open().catch(error => console.warn(`Could not open ${input.name}:`, error));
+        }
 
         this.connectedInputs.set(input.id, input);
+        this.manager.emitMusicalEvent('device-connected', this.describeDevice(input));
+    }
+
+    /**
+     * Stop listening to a MIDI input
+     */
+    disconnectInput(input) {
+        if (!this.connectedInputs.has(input.id)) return;
+
+        input.removeEventListener('midimessage', this.messageHandler);
+        this.connectedInputs.delete(input.id);
+        this.manager.emitMusicalEvent('device-disconnected', this.describeDevice(input));
     }
 
     /**
@@ -86,60 +140,310 @@ class MidiInput {
         const port = e.port;
         
         if (port.type === 'input') {
-            if (port.state === 'connected') {
-                console.log(`🎹 MIDI device connected: ${port.name}`);
+            if (port.state === 'connected' && this.matchesDevice(port)) {
+                if (!this.connectedInputs.has(port.id)) {
+                    console.log(`🎹 MIDI device connected: ${port.name}`);
+                }
                 this.connectInput(port);
             } else if (port.state === 'disconnected') {
                 console.log(`🔌 MIDI device disconnected: ${port.name}`);
-                this.connectedInputs.delete(port.id);
+                this.disconnectInput(port);
             }
         }
     }
 
+    /**
+     * Does a port match config.device? (id, or case-insensitive part of the name)
+     */
+    matchesDevice(port) {
+        if (!this.device) return true;
+        if (port.id === this.device) return true;
+        return (port.name || '').toLowerCase().includes(String(this.device).toLowerCase());
+    }
+
+    describeDevice(port) {
+        return {
+            id: port.id,
+            name: port.name,
+            manufacturer: port.manufacturer
+        };
+    }
+
+    /**
+     * Listen to one device only
+     * 
+     * @param {string|null} device - Device id or (part of) its name, null = all devices
+     */
+    selectDevice(device) {
+        this.device = device;
+
+        if (!this.midiAccess) return;
+
+        for (const input of Array.from(this.connectedInputs.values())) {
+            if (!this.matchesDevice(input)) {
+                this.disconnectInput(input);
+            }
+        }
+        this.connectToInputs();
+    }
+
+    /**
+     * Only listen to some channels
+     * 
+     * @param {number|Array<number>|null} channels - 0-15, an array of them, or null / 'omni' for all
+     */
+    setChannels(channels) {
+        if (channels === undefined || channels === null || channels === 'omni') {
+            this.channels = null;
+        } else {
+            this.channels = new Set(Array.isArray(channels) ? channels : [channels]);
+        }
+    }
+
+    /**
+     * Is this channel let through by the channel filter?
+     */
+    acceptsChannel(channel) {
+        return this.channels === null || this.channels.has(channel);
+    }
+
+    /**
+     * Waiting for a device to be plugged in?
+     */
+    isWaiting() {
+        return this.connectedInputs.size === 0;
+    }
+
     /**
      * Handle incoming MIDI messages
      */
     handleMidiMessage(message) {
-        const [status, note, velocity] = message.data;
-        
-        // Status byte breakdown:
-        // 0x90-0x9F = Note On
-        // 0x80-0x8F = Note Off
+        const [status, data1, data2] = message.data;
+
+        // System messages (0xF0-0xFF) have no channel
+        if (status >= 0xf0) {
+            this.handleSystemMessage(message);
+            return;
+        }
+
+        // Status byte breakdown: high nibble = command, low nibble = channel
         const command = status & 0xf0;
         const channel = status & 0x0f;
 
-        if (command === 0x90) {
-            // Note On
-            if (velocity > 0) {
-                this.manager.emitMusicalEvent('note-on', {
-                    note: note,
-                    velocity: velocity / 127,
+        if (!this.acceptsChannel(channel)) return;
+
+        switch (command) {
+            case 0x90:
+                if (data2 > 0) {
+                    this.noteOn(data1, data2 / 127, channel);
+                } else {
+                    // Velocity 0 = Note Off
+                    this.noteOff(data1, channel);
+                }
+                break;
+
+            case 0x80:
+                this.noteOff(data1, channel);
+                break;
+
+            case 0xa0:
+                // Polyphonic aftertouch (per key)
+                this.manager.emitMusicalEvent('aftertouch', {
+                    pressure: data2 / 127,
+                    note: data1,
                     channel: channel
                 });
-            } else {
-                // Velocity 0 = Note Off
-                this.manager.emitMusicalEvent('note-off', {
-                    note: note,
+                break;
+
+            case 0xb0:
+                this.controlChange(data1, data2, channel);
+                break;
+
+            case 0xc0:
+                this.manager.emitMusicalEvent('program-change', {
+                    program: data1,
+                    channel: channel
+                });
+                break;
+
+            case 0xd0:
+                // Channel aftertouch (whole keyboard)
+                this.manager.emitMusicalEvent('aftertouch', {
+                    pressure: data1 / 127,
+                    note: null,
                     channel: channel
                 });
+                break;
+
+            case 0xe0: {
+                // 14-bit value, LSB first, 8192 = centre
+                const bend = (data2 << 7) | data1;
+                this.manager.emitMusicalEvent('pitch-bend', {
+                    value: bend < 8192 ? (bend - 8192) / 8192 : (bend - 8192) / 8191,
+                    channel: channel
+                });
+                break;
             }
-        } else if (command === 0x80) {
-            // Note Off
-            this.manager.emitMusicalEvent('note-off', {
-                note: note,
-                channel: channel
-            });
-        } else if (command === 0xb0) {
-            // Control Change (could be useful for knobs/sliders)
-            const controlNumber = note;
-            const controlValue = velocity;
-            
-            this.manager.emitMusicalEvent('control-change', {
-                control: controlNumber,
-                value: controlValue / 127,
-                channel: channel
+        }
+    }
+
+    /**
+     * Handle clock, transport and system exclusive messages
+     */
+    handleSystemMessage(message) {
+        const [status, data1, data2] = message.data;
+
+        switch (status) {
+            case 0xf0:
+                this.manager.emitMusicalEvent('sysex', { data: message.data });
+                break;
+
+            case 0xf2:
+                // Song position pointer: 14-bit count of 16th notes
+                this.manager.emitMusicalEvent('transport', {
+                    action: 'position',
+                    position: (data2 << 7) | data1
+                });
+                break;
+
+            case 0xf8:
+                this.manager.emitMusicalEvent('clock', { timestamp: message.timeStamp });
+                break;
+
+            case 0xfa:
+                this.manager.emitMusicalEvent('transport', { action: 'start', position: 0 });
+                break;
+
+            case 0xfb:
+                this.manager.emitMusicalEvent('transport', { action: 'continue' });
+                break;
+
+            case 0xfc:
+                this.manager.emitMusicalEvent('transport', { action: 'stop' });
+                break;
+
+            // 0xfe (active sensing) and the rest are ignored
+        }
+    }
+
+    /**
+     * Pedal and held-note state for a channel
+     */
+    getChannelState(channel) {
+        if (!this.channelState.has(channel)) {
+            this.channelState.set(channel, {
+                held: new Set(),            // Keys physically down
+                sustained: new Set(),       // Released keys kept sounding by a pedal
+                sostenutoNotes: new Set(),  // Keys that were down when sostenuto was pressed
+                sustain: false,
+                sostenuto: false
             });
         }
+        return this.channelState.get(channel);
+    }
+
+    noteOn(note, velocity, channel) {
+        const state = this.getChannelState(channel);
+
+        // Replaying a note the pedal is holding: end the old one first
+        if (state.sustained.has(note)) {
+            state.sustained.delete(note);
+            this.emitNoteOff(note, channel);
+        }
+
+        state.held.add(note);
+        this.manager.emitMusicalEvent('note-on', {
+            note: note,
+            velocity: velocity,
+            channel: channel
+        });
+    }
+
+    noteOff(note, channel) {
+        const state = this.getChannelState(channel);
+        state.held.delete(note);
+
+        const pedalHeld = state.sustain || (state.sostenuto && state.sostenutoNotes.has(note));
+        if (this.pedals && pedalHeld) {
+            state.sustained.add(note);
+            return;
+        }
+
+        this.emitNoteOff(note, channel);
+    }
+
+    emitNoteOff(note, channel) {
+        this.manager.emitMusicalEvent('note-off', {
+            note: note,
+            channel: channel
+        });
+    }
+
+    controlChange(control, value, channel) {
+        const state = this.getChannelState(channel);
+
+        switch (control) {
+            case 64:
+                // Sustain pedal: on at 64 and above
+                state.sustain = value >= 64;
+                if (!state.sustain) {
+                    this.releaseSustained(state, channel, note => !(state.sostenuto && state.sostenutoNotes.has(note)));
+                }
+                break;
+
+            case 66:
+                // Sostenuto pedal: holds only the keys that are down when it is pressed
+                if (value >= 64 && !state.sostenuto) {
+                    state.sostenuto = true;
+                    state.sostenutoNotes = new Set(state.held);
+                } else if (value < 64 && state.sostenuto) {
+                    state.sostenuto = false;
+                    this.releaseSustained(state, channel, note => state.sostenutoNotes.has(note) && !state.sustain);
+                    state.sostenutoNotes.clear();
+                }
+                break;
+
+            case 120:
+            case 123:
+                // All sound off / all notes off
+                state.held.forEach(note => this.emitNoteOff(note, channel));
+                state.held.clear();
+                this.releaseSustained(state, channel, () => true);
+                break;
+        }
+
+        // Knobs, sliders and pedals
+        this.manager.emitMusicalEvent('control-change', {
+            control: control,
+            value: value / 127,
+            channel: channel
+        });
+    }
+
+    /**
+     * Send note-offs for pedal-held notes that may now stop
+     */
+    releaseSustained(state, channel, canRelease) {
+        state.sustained.forEach(note => {
+            if (canRelease(note)) {
+                state.sustained.delete(note);
+                this.emitNoteOff(note, channel);
+            }
+        });
+    }
+
+    /**
+     * Get every MIDI input device, connected to or not (e.g. for a device menu)
+     */
+    getAvailableDevices() {
+        if (!this.midiAccess) return [];
+
+        return Array.from(this.midiAccess.inputs.values())
+            .filter(input => input.state !== 'disconnected')
+            .map(input => ({
+                ...this.describeDevice(input),
+                listening: this.connectedInputs.has(input.id)
+            }));
     }
 
     /**
@@ -163,8 +467,9 @@ class MidiInput {
      */
     cleanup() {
         if (this.midiAccess) {
+            this.midiAccess.removeEventListener('statechange', this.stateChangeHandler);
             for (const input of this.connectedInputs.values()) {
-                input.onmidimessage = null;
+                input.removeEventListener('midimessage', this.messageHandler);
             }
             this.connectedInputs.clear();
         }
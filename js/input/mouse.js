@@ -1,164 +1,197 @@
 /**
  * Musical Instrument Sandbox - Mouse Input
- * 
- * Handles mouse and touch input.
- * 
+ *
+ * Handles mouse, touch and pen input through Pointer Events. Every finger
+ * (or pen, or mouse) is tracked by its pointerId with its own note-on,
+ * continuous and note-off events, so a tablet can play chords.
+ *
  * MODES:
- * - 'trigger': Click anywhere to play a note (position determines pitch)
+ * - 'trigger': Click anywhere to play a note (position determines pitch),
+ *              held until you let go
  * - 'continuous': Move mouse to control pitch/volume (theremin style)
- * - 'xy-pad': XY pad for continuous control
+ * - 'xy-pad': XY pad for continuous control (no notes; pressure 0.5 while a
+ *             mouse hovers, 0 when a finger lifts)
+ *
+ * EVENTS (all carry pointerId):
+ * - 'note-on'    → { note, velocity, x, y, pressure, pointerId } - x/y in pixels
+ * - 'continuous' → { x, y, pressure, note, pointerId } - x/y 0-1 across the container
+ * - 'note-off'   → { note, pointerId }
+ *
+ * Pressure comes from PointerEvent.pressure on pens and pressure-sensitive
+ * screens. Without it velocity follows height (top = loud), and pressure
+ * is 0.7 while pressed.
  */
 
 class MouseInput {
+    /**
+     * @param {InputManager} manager
+     * @param {object} config
+     * @param {string} config.mode - 'trigger', 'continuous' or 'xy-pad' (default: 'trigger')
+     * @param {HTMLElement} config.container - Element to play on (default: document.body)
+     * @param {number} config.minNote - Left edge (default: 48 = C3)
+     * @param {number} config.maxNote - Right edge (default: 84 = C6)
+     * @param {number} config.maxPointers - Simultaneous notes (default: no limit)
+     * @param {string} config.ignore - Elements that don't play (default: buttons, menus, links, the on-screen piano)
+     */
     constructor(manager, config = {}) {
         this.manager = manager;
         this.mode = config.mode || 'trigger';
         this.container = config.container || document.body;
         this.minNote = config.minNote || 48; // C3
         this.maxNote = config.maxNote || 84; // C6
+        this.maxPointers = config.maxPointers || Infinity;
+        this.ignore = config.ignore || 'button, select, input, textarea, a, label, .piano-keyboard';
 
-        this.isPressed = false;
+        this.pointers = new Map();   // pointerId → { note, x, y, pressure }
         this.listeners = [];
 
+        // Touches play instead of scrolling or zooming the page
+        this.previousTouchAction = this.container.style.touchAction;
+        this.container.style.touchAction = 'none';
+
         this.setupListeners();
     }
 
     setupListeners() {
-        if (this.mode === 'trigger') {
-            this.setupTriggerMode();
-        } else if (this.mode === 'continuous') {
-            this.setupContinuousMode();
-        } else if (this.mode === 'xy-pad') {
-            this.setupXYPadMode();
+        const handleDown = (e) => this.handleDown(e);
+        const handleMove = (e) => this.handleMove(e);
+        const handleUp = (e) => this.handleUp(e);
+
+        this.container.addEventListener('pointerdown', handleDown);
+        this.container.addEventListener('pointermove', handleMove);
+        this.container.addEventListener('pointerup', handleUp);
+        this.container.addEventListener('pointercancel', handleUp);
+        this.container.addEventListener('lostpointercapture', handleUp);
+
+        this.listeners.push(
+            { element: this.container, event: 'pointerdown', handler: handleDown },
+            { element: this.container, event: 'pointermove', handler: handleMove },
+            { element: this.container, event: 'pointerup', handler: handleUp },
+            { element: this.container, event: 'pointercancel', handler: handleUp },
+            { element: this.container, event: 'lostpointercapture', handler: handleUp }
+        );
+    }
+
+    handleDown(e) {
+        // Left button only, and not on the page's own controls
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        if (e.target.closest && e.target.closest(this.ignore)) return;
+        if (this.pointers.has(e.pointerId) || this.pointers.size >= this.maxPointers) return;
+
+        // Keep getting this pointer's moves and release, even outside the container
+        if (this.container.setPointerCapture) {
+            try {
+                this.container.setPointerCapture(e.pointerId);
+            } catch (error) {
+                // Already released
+            }
+        }
+
+        const pressure = this.getPressure(e);
+        const pointer = { note: null, x: e.clientX, y: e.clientY, pressure };
+        this.pointers.set(e.pointerId, pointer);
+
+        if (this.mode === 'xy-pad') {
+            this.emitContinuous(e, pointer);
+            return;
         }
+
+        pointer.note = this.xyToNote(e.clientX, e.clientY);
+        this.manager.emitMusicalEvent('note-on', {
+            note: pointer.note,
+            velocity: pressure !== null ? clamp(pressure, 0.1, 1.0) : this.yToVelocity(e.clientY),
+            x: e.clientX,
+            y: e.clientY,
+            pressure: pressure !== null ? pressure : 0.7,
+            pointerId: e.pointerId
+        });
     }
 
-    /**
-     * Trigger mode: Click to play note
-     */
-    setupTriggerMode() {
-        const handleClick = (e) => {
-            const x = e.clientX || (e.touches && e.touches[0].clientX);
-            const y = e.clientY || (e.touches && e.touches[0].clientY);
-
-            const note = this.xyToNote(x, y);
-            const velocity = this.yToVelocity(y);
-
-            this.manager.emitMusicalEvent('note-on', {
-                note: note,
-                velocity: velocity,
-                x: x,
-                y: y
-            });
-        };
+    handleMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
 
-        this.container.addEventListener('click', handleClick);
-        this.container.addEventListener('touchstart', handleClick);
+        // XY pad follows a hovering mouse too
+        if (!pointer) {
+            if (this.mode === 'xy-pad' && e.pointerType === 'mouse') {
+                this.emitContinuous(e, null);
+            }
+            return;
+        }
 
-        this.listeners.push(
-            { element: this.container, event: 'click', handler: handleClick },
-            { element: this.container, event: 'touchstart', handler: handleClick }
-        );
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        pointer.pressure = this.getPressure(e);
+        this.emitContinuous(e, pointer);
     }
 
-    /**
-     * Continuous mode: Drag to control
-     */
-    setupContinuousMode() {
-        const handleMove = (e) => {
-            if (!this.isPressed) return;
-
-            const x = e.clientX || (e.touches && e.touches[0].clientX);
-            const y = e.clientY || (e.touches && e.touches[0].clientY);
-
-            this.manager.emitMusicalEvent('continuous', {
-                x: x / window.innerWidth,
-                y: y / window.innerHeight,
-                pressure: 0.7
-            });
-        };
+    handleUp(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
 
-        const handleDown = (e) => {
-            this.isPressed = true;
-            const x = e.clientX || (e.touches && e.touches[0].clientX);
-            const y = e.clientY || (e.touches && e.touches[0].clientY);
-
-            const note = this.xyToNote(x, y);
-            this.manager.emitMusicalEvent('note-on', {
-                note: note,
-                velocity: 0.7,
-                x: x,
-                y: y
-            });
-        };
+        this.pointers.delete(e.pointerId);
+        this.releasePointer(e.pointerId, pointer);
+    }
 
-        const handleUp = () => {
-            this.isPressed = false;
-            this.manager.emitMusicalEvent('note-off', {});
-        };
+    releasePointer(pointerId, pointer) {
+        if (this.mode === 'xy-pad') {
+            const { x, y } = this.normalize(pointer.x, pointer.y);
+            this.manager.emitMusicalEvent('continuous', { x, y, pressure: 0, note: null, pointerId });
+            return;
+        }
+
+        this.manager.emitMusicalEvent('note-off', {
+            note: pointer.note,
+            pointerId: pointerId
+        });
+    }
 
-        this.container.addEventListener('mousedown', handleDown);
-        this.container.addEventListener('mousemove', handleMove);
-        this.container.addEventListener('mouseup', handleUp);
-        this.container.addEventListener('touchstart', handleDown);
-        this.container.addEventListener('touchmove', handleMove);
-        this.container.addEventListener('touchend', handleUp);
+    emitContinuous(e, pointer) {
+        const { x, y } = this.normalize(e.clientX, e.clientY);
+        let pressure = 0.5;     // Hovering
+        if (pointer) {
+            pressure = pointer.pressure !== null ? pointer.pressure : (this.mode === 'xy-pad' ? 1.0 : 0.7);
+        }
 
-        this.listeners.push(
-            { element: this.container, event: 'mousedown', handler: handleDown },
-            { element: this.container, event: 'mousemove', handler: handleMove },
-            { element: this.container, event: 'mouseup', handler: handleUp },
-            { element: this.container, event: 'touchstart', handler: handleDown },
-            { element: this.container, event: 'touchmove', handler: handleMove },
-            { element: this.container, event: 'touchend', handler: handleUp }
-        );
+        this.manager.emitMusicalEvent('continuous', {
+            x: x,
+            y: y,
+            pressure: pressure,
+            note: pointer ? pointer.note : null,
+            pointerId: e.pointerId
+        });
     }
 
     /**
-     * XY Pad mode: Similar to continuous but always active
+     * Real pressure (0-1), or null when the device doesn't measure it
+     * (mice report 0.5 while pressed, many touch screens 0 or 0.5 always)
      */
-    setupXYPadMode() {
-        const handleMove = (e) => {
-            const x = e.clientX || (e.touches && e.touches[0].clientX);
-            const y = e.clientY || (e.touches && e.touches[0].clientY);
-
-            this.manager.emitMusicalEvent('continuous', {
-                x: x / window.innerWidth,
-                y: y / window.innerHeight,
-                pressure: this.isPressed ? 1.0 : 0.5
-            });
-        };
+    getPressure(e) {
+        const pressure = e.pressure;
+        if (typeof pressure !== 'number' || pressure === 0) return null;
+        if (pressure === 0.5 && e.pointerType !== 'pen') return null;
+        return pressure;
+    }
 
-        const handleDown = () => {
-            this.isPressed = true;
-        };
+    /**
+     * Position as 0-1 across the container (the window for the whole page)
+     */
+    normalize(x, y) {
+        if (this.container === document.body || this.container === document.documentElement) {
+            return { x: x / window.innerWidth, y: y / window.innerHeight };
+        }
 
-        const handleUp = () => {
-            this.isPressed = false;
+        const rect = this.container.getBoundingClientRect();
+        return {
+            x: clamp((x - rect.left) / rect.width, 0, 1),
+            y: clamp((y - rect.top) / rect.height, 0, 1)
         };
-
-        this.container.addEventListener('mousemove', handleMove);
-        this.container.addEventListener('touchmove', handleMove);
-        this.container.addEventListener('mousedown', handleDown);
-        this.container.addEventListener('mouseup', handleUp);
-        this.container.addEventListener('touchstart', handleDown);
-        this.container.addEventListener('touchend', handleUp);
-
-        this.listeners.push(
-            { element: this.container, event: 'mousemove', handler: handleMove },
-            { element: this.container, event: 'touchmove', handler: handleMove },
-            { element: this.container, event: 'mousedown', handler: handleDown },
-            { element: this.container, event: 'mouseup', handler: handleUp },
-            { element: this.container, event: 'touchstart', handler: handleDown },
-            { element: this.container, event: 'touchend', handler: handleUp }
-        );
     }
 
     /**
      * Convert X/Y position to MIDI note
      */
     xyToNote(x, y) {
-        const normalizedX = x / window.innerWidth;
+        const normalizedX = this.normalize(x, y).x;
         const note = Math.floor(map(normalizedX, 0, 1, this.minNote, this.maxNote));
         return clamp(note, this.minNote, this.maxNote);
     }
@@ -167,7 +200,7 @@ class MouseInput {
      * Convert Y position to velocity
      */
     yToVelocity(y) {
-        const normalizedY = 1 - (y / window.innerHeight);
+        const normalizedY = 1 - this.normalize(0, y).y;
         return clamp(normalizedY, 0.2, 1.0);
     }
 
@@ -175,13 +208,17 @@ class MouseInput {
      * Cleanup listeners
      */
     cleanup() {
+        // Let go of every held note
+        this.pointers.forEach((pointer, pointerId) => this.releasePointer(pointerId, pointer));
+        this.pointers.clear();
+
         this.listeners.forEach(({ element, event, handler }) => {
             element.removeEventListener(event, handler);
         });
         this.listeners = [];
+        this.container.style.touchAction = this.previousTouchAction;
     }
 }
 
 // Make available globally
 window.MouseInput = MouseInput;
-
@@ -0,0 +1,400 @@
+/**
+ * Musical Instrument Sandbox - Performance Recorder
+ *
+ * Records what is played on ANY input (keyboard, mouse, MIDI, hand tracking)
+ * by listening to InputManager's standardized events, then exports it as a
+ * Standard MIDI File or plays it back through AudioOutputManager.
+ *
+ * - note-on / note-off → notes (notes still held at stop() end there; if
+ *   nothing sends note-offs, notes get config.defaultDuration)
+ * - trigger            → General MIDI drum notes on channel 10
+ * - control-change     → controller events
+ *
+ * Same controls as Recorder (start/pause/resume/stop), so
+ * createRecorderControls(performanceRecorder) works too.
+ *
+ * Events:
+ * - 'start' / 'pause' / 'resume'
+ * - 'stop'     → { midi, notes, duration } (midi = .mid Blob)
+ * - 'play' / 'play-end'
+ *
+ * USAGE:
+ *   const perfRecorder = new PerformanceRecorder(inputManager, { bpm: 100 });
+ *   perfRecorder.start();
+ *   ...
+ *   perfRecorder.stop();
+ *   perfRecorder.play(outputManager, { quantize: 16 });
+ *   MidiFile.download(perfRecorder.exportMIDI({ format: 1, quantize: 16 }), 'song.mid');
+ */
+
+class PerformanceRecorder extends EventTarget {
+    /**
+     * @param {InputManager} inputManager
+     * @param {object} config
+     * @param {number} config.bpm - Tempo written to the file and used for quantizing (default: 120)
+     * @param {number} config.defaultDuration - Length (s) of notes that never get a note-off (default: 0.5)
+     * @param {number} config.drumChannel - Channel for drum pad triggers, 0-based (default: 9 = channel 10)
+     */
+    constructor(inputManager, config = {}) {
+        super();
+        this.inputManager = inputManager;
+        this.bpm = config.bpm || 120;
+        this.defaultDuration = config.defaultDuration || 0.5;
+        this.drumChannel = config.drumChannel !== undefined ? config.drumChannel : 9;
+
+        this.state = 'inactive';   // 'inactive', 'recording', 'paused'
+        this.notes = [];           // { note, velocity, channel, time, duration } - time in seconds
+        this.controls = [];        // { control, value, channel, time }
+        this.openNotes = new Map(); // 'channel:note' -> note still held
+        this.hasNoteOffs = false;  // false = the inputs only send note-ons
+
+        this.startTime = 0;
+        this.pausedAt = 0;
+        this.pausedTotal = 0;
+
+        this.playbackTimer = null;
+
+        this.handlers = {
+            'note-on': (e) => this.handleNoteOn(e.detail),
+            'note-off': (e) => this.handleNoteOff(e.detail),
+            'trigger': (e) => this.handleTrigger(e.detail),
+            'control-change': (e) => this.handleControlChange(e.detail)
+        };
+    }
+
+    /**
+     * Start a new recording (clears the previous one)
+     */
+    start() {
+        if (this.state !== 'inactive') return;
+
+        this.notes = [];
+        this.controls = [];
+        this.openNotes.clear();
+        this.hasNoteOffs = false;
+        this.startTime = performance.now();
+        this.pausedTotal = 0;
+
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.inputManager.addEventListener(type, handler);
+        });
+
+        this.state = 'recording';
+        this.dispatchEvent(new CustomEvent('start'));
+        console.log('⏺️ Performance recording started');
+    }
+
+    /**
+     * Pause recording (paused time is left out of the recording)
+     */
+    pause() {
+        if (this.state !== 'recording') return;
+        this.pausedAt = performance.now();
+        this.state = 'paused';
+        this.dispatchEvent(new CustomEvent('pause'));
+    }
+
+    /**
+     * Resume a paused recording
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+        this.pausedTotal += performance.now() - this.pausedAt;
+        this.state = 'recording';
+        this.dispatchEvent(new CustomEvent('resume'));
+    }
+
+    /**
+     * Stop recording
+     *
+     * @returns {object} { midi, notes, duration } - midi is a .mid Blob (format 1), or null if the export failed
+     */
+    stop() {
+        if (this.state === 'inactive') return null;
+
+        if (this.state === 'paused') {
+            this.resume();
+        }
+
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.inputManager.removeEventListener(type, handler);
+        });
+
+        // Notes still held end here
+        const end = this.getDuration();
+        this.openNotes.forEach(note => this.closeNote(note, end));
+        this.openNotes.clear();
+
+        this.state = 'inactive';
+
+        // The notes are kept even if the export fails - exportMIDI() can be tried again
+        let midi = null;
+        try {
+            midi = new Blob([this.exportMIDI()], { type: 'audio/midi' });
+        } catch (error) {
+            console.error('❌ MIDI export failed:', error);
+        }
+        const duration = end;
+        this.dispatchEvent(new CustomEvent('stop', {
+            detail: { midi, notes: this.notes.length, duration }
+        }));
+        console.log(`⏹️ Performance recorded: ${this.notes.length} notes, ${duration.toFixed(1)}s`);
+
+        return { midi, notes: this.notes.length, duration };
+    }
+
+    /**
+     * Seconds since start, not counting pauses
+     */
+    getDuration() {
+        if (this.state === 'inactive') {
+            const last = this.notes.reduce((max, n) => Math.max(max, n.time + n.duration), 0);
+            return last;
+        }
+        const now = this.state === 'paused' ? this.pausedAt : performance.now();
+        return (now - this.startTime - this.pausedTotal) / 1000;
+    }
+
+    // ========================================
+    // RECORDING
+    // ========================================
+
+    handleNoteOn({ note, velocity = 0.7, channel = 0 }) {
+        if (this.state !== 'recording' || note === undefined) return;
+
+        const key = `${channel}:${note}`;
+        const time = this.getDuration();
+
+        // Retriggered before a note-off (e.g. mouse clicks): end the previous one
+        if (this.openNotes.has(key)) {
+            this.closeNote(this.openNotes.get(key), time);
+        }
+
+        const recorded = { note, velocity, channel, time, duration: null };
+        this.notes.push(recorded);
+        this.openNotes.set(key, recorded);
+    }
+
+    handleNoteOff({ note, channel = 0 }) {
+        if (this.state !== 'recording' || note === undefined) return;
+
+        const key = `${channel}:${note}`;
+        this.hasNoteOffs = true;
+        const recorded = this.openNotes.get(key);
+        if (!recorded) return;
+
+        recorded.duration = Math.max(0.01, this.getDuration() - recorded.time);
+        this.openNotes.delete(key);
+    }
+
+    handleTrigger({ index, velocity = 0.7 }) {
+        if (this.state !== 'recording') return;
+
+        // Drum pads become General MIDI drum notes (36 = kick)
+        const note = typeof DrumSampler !== 'undefined'
+            ? DrumSampler.padToNote(index)
+            : 36 + index;
+        if (note === null) return;
+
+        this.notes.push({
+            note,
+            velocity,
+            channel: this.drumChannel,
+            time: this.getDuration(),
+            duration: 0.1
+        });
+    }
+
+    handleControlChange({ control, value, channel = 0 }) {
+        if (this.state !== 'recording') return;
+        this.controls.push({ control, value, channel, time: this.getDuration() });
+    }
+
+    /**
+     * End a note without its note-off (played again, or held at stop)
+     */
+    closeNote(recorded, time) {
+        if (recorded.duration !== null) return;
+
+        // Inputs that never send note-offs: the note can't have lasted until now
+        const longest = this.hasNoteOffs ? Infinity : this.defaultDuration;
+        recorded.duration = clamp(time - recorded.time, 0.01, longest);
+    }
+
+    // ========================================
+    // QUANTIZE
+    // ========================================
+
+    /**
+     * Get the recorded notes (copies, sorted by time)
+     *
+     * @param {object} options
+     * @param {number} options.quantize - Grid division: 4 = quarter notes, 16 = 16th notes (default: off)
+     * @param {number} options.strength - 0-1, how far to move notes toward the grid (default: 1)
+     */
+    getNotes(options = {}) {
+        const { quantize = 0, strength = 1 } = options;
+
+        return this.notes
+            .map(n => ({
+                ...n,
+                time: quantize ? this.quantizeTime(n.time, quantize, strength) : n.time
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Move a time toward the nearest grid line
+     */
+    quantizeTime(time, division, strength = 1) {
+        const grid = (60 / this.bpm) * (4 / division);
+        const snapped = Math.round(time / grid) * grid;
+        return lerp(time, snapped, strength);
+    }
+
+    // ========================================
+    // EXPORT
+    // ========================================
+
+    /**
+     * Export as a Standard MIDI File
+     *
+     * @param {object} options
+     * @param {number} options.format - 0 (one track) or 1 (one track per channel, default)
+     * @param {number} options.quantize - Grid division, e.g. 16 (default: off)
+     * @param {number} options.strength - Quantize strength 0-1 (default: 1)
+     * @param {number} options.ppq - Ticks per quarter note (default: 480)
+     * @param {string} options.name - Song name (default: 'Performance')
+     * @returns {Uint8Array}
+     */
+    exportMIDI(options = {}) {
+        const { format = 1, quantize = 0, strength = 1, ppq = 480, name = 'Performance' } = options;
+        const toTicks = (seconds) => Math.round(seconds * (this.bpm / 60) * ppq);
+
+        // Raw events per channel
+        const channels = new Map();
+        const channelEvents = (channel) => {
+            if (!channels.has(channel)) channels.set(channel, []);
+            return channels.get(channel);
+        };
+
+        this.getNotes({ quantize, strength }).forEach(n => {
+            const events = channelEvents(n.channel);
+            const velocity = clamp(Math.round(n.velocity * 127), 1, 127);
+            events.push({ tick: toTicks(n.time), data: [0x90 | n.channel, n.note, velocity] });
+            events.push({ tick: toTicks(n.time + n.duration), data: [0x80 | n.channel, n.note, 0] });
+        });
+
+        this.controls.forEach(c => {
+            const value = clamp(Math.round(c.value * 127), 0, 127);
+            channelEvents(c.channel).push({ tick: toTicks(c.time), data: [0xB0 | c.channel, c.control, value] });
+        });
+
+        const header = [
+            MidiFile.trackNameEvent(0, name),
+            MidiFile.tempoEvent(0, this.bpm),
+            MidiFile.timeSignatureEvent(0, 4, 4)
+        ];
+
+        let tracks;
+        if (format === 0) {
+            const all = [].concat(...channels.values());
+            tracks = [[...header, ...sortMidiEvents(all)]];
+        } else {
+            tracks = [header];
+            Array.from(channels.keys()).sort((a, b) => a - b).forEach(channel => {
+                const trackName = channel === this.drumChannel ? 'Drums' : `Channel ${channel + 1}`;
+                tracks.push([
+                    MidiFile.trackNameEvent(0, trackName),
+                    ...sortMidiEvents(channels.get(channel))
+                ]);
+            });
+        }
+
+        return MidiFile.write({ format, ppq, tracks });
+    }
+
+    /**
+     * Save a recording (Blob from stop()) or a fresh .mid export
+     *
+     * @param {Blob} blob - Optional, default: exportMIDI()
+     * @param {string} filename - Default: 'performance-<date>.mid'
+     */
+    download(blob, filename) {
+        if (!filename) {
+            const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+            filename = `performance-${stamp}.mid`;
+        }
+        MidiFile.download(blob || this.exportMIDI(), filename);
+    }
+
+    // ========================================
+    // PLAYBACK
+    // ========================================
+
+    /**
+     * Play the recording through the current output
+     *
+     * @param {AudioOutputManager} outputManager
+     * @param {object} options - { quantize, strength } as in getNotes()
+     */
+    play(outputManager, options = {}) {
+        this.stopPlayback();
+
+        const notes = this.getNotes(options);
+        if (notes.length === 0) return;
+
+        const audioContext = outputManager.audioContext;
+        const startTime = audioContext.currentTime + 0.1;
+        let next = 0;
+
+        // Look-ahead scheduling (like Transport) so stopPlayback() can cut it short
+        const schedule = () => {
+            const horizon = audioContext.currentTime + 0.2;
+
+            while (next < notes.length && startTime + notes[next].time < horizon) {
+                const n = notes[next];
+                outputManager.playNote(n.note, n.duration, n.velocity, startTime + n.time, n.channel);
+                next++;
+            }
+
+            if (next >= notes.length) {
+                const last = notes[notes.length - 1];
+                const endIn = (startTime + last.time + last.duration - audioContext.currentTime) * 1000;
+                clearInterval(this.playbackTimer);
+                this.playbackTimer = setTimeout(() => {
+                    this.playbackTimer = null;
+                    this.dispatchEvent(new CustomEvent('play-end'));
+                }, Math.max(0, endIn));
+            }
+        };
+
+        this.playbackTimer = setInterval(schedule, 25);
+        schedule();
+
+        this.dispatchEvent(new CustomEvent('play'));
+    }
+
+    /**
+     * Stop playback (already-scheduled notes within ~0.2s may still sound)
+     */
+    stopPlayback() {
+        if (!this.playbackTimer) return;
+
+        clearInterval(this.playbackTimer);
+        clearTimeout(this.playbackTimer);
+        this.playbackTimer = null;
+        this.dispatchEvent(new CustomEvent('play-end'));
+    }
+}
+
+/**
+ * Sort by tick, with note-offs before note-ons on the same tick
+ */
+function sortMidiEvents(events) {
+    const isNoteOff = (e) => (e.data[0] & 0xF0) === 0x80;
+    return events.sort((a, b) => a.tick - b.tick || isNoteOff(b) - isNoteOff(a));
+}
+
+// Make available globally
+window.PerformanceRecorder = PerformanceRecorder;
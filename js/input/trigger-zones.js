@@ -0,0 +1,460 @@
+/**
+ * Musical Instrument Sandbox - Trigger Zones
+ *
+ * The places on screen where hand tracking plays: MediaPipeInput checks
+ * every fingertip against them. Zones are plain JSON in normalised
+ * coordinates (0-1 across the screen, y down), so they can be written by
+ * hand, saved and shared:
+ *
+ * - line:  { type: 'line', y, x1, x2, minNote, maxNote } - cross it downwards,
+ *          pitch across its length (the default zone)
+ * - pad:   { type: 'pad', x, y, width, height, note } - a rectangle
+ * - drum:  { type: 'drum', x, y, radius, note } - a circle (radius in screen heights)
+ * - strip: { type: 'strip', x, y, width, height, minNote, maxNote } - a row of keys
+ *
+ * Every zone does one thing (action):
+ * - 'note'    (default) - note-on going in, note-off coming out
+ * - 'trigger' - a 'trigger' event with { index } going in
+ * - 'control' - 'control-change' { control, value } while a finger is inside,
+ *               value along axis 'x' (left → right) or 'y' (bottom → top)
+ *
+ * Plus optional id, label, color, channel.
+ *
+ * EDITING: setEditing(true, canvas) lets the mouse drag zones around on
+ * the overlay canvas - drag a zone to move it, its corner (or rim, or line
+ * ends) to resize. Edits are saved in localStorage per page, together with
+ * the zones the page gave: once the page's own zones change, the old edits
+ * are ignored.
+ *
+ * USAGE:
+ *   await inputManager.enableInput('mediapipe', {
+ *       zones: [
+ *           { type: 'line', y: 0.5, x1: 0, x2: 0.5, minNote: 48, maxNote: 60 },
+ *           { type: 'drum', x: 0.75, y: 0.3, radius: 0.12, note: 36, label: 'Kick' },
+ *           { type: 'pad', x: 0.6, y: 0.6, width: 0.3, height: 0.2, action: 'control', control: 74 }
+ *       ]
+ *   });
+ *   inputManager.inputModules.mediapipe.setEditing(true);
+ */
+
+const TRIGGER_ZONE_TYPES = ['line', 'pad', 'drum', 'strip'];
+
+const TRIGGER_ZONE_DEFAULTS = {
+    line: { y: 0.5, x1: 0, x2: 1 },
+    pad: { x: 0.4, y: 0.4, width: 0.2, height: 0.2 },
+    drum: { x: 0.5, y: 0.5, radius: 0.1 },
+    strip: { x: 0.1, y: 0.7, width: 0.8, height: 0.15 }
+};
+
+// Notes for action 'note'
+const TRIGGER_ZONE_NOTES = {
+    line: { minNote: 48, maxNote: 84 },
+    pad: { note: 60 },
+    drum: { note: 36 },
+    strip: { minNote: 60, maxNote: 72 }
+};
+
+// How close (screen fraction) the mouse must be to grab a line or handle
+const TRIGGER_ZONE_GRAB = 0.02;
+
+class TriggerZones extends EventTarget {
+    /**
+     * @param {Array<object>|string} zones - Zone list, or its JSON
+     * @param {object} options
+     * @param {string} options.storageKey - localStorage key for edits (default: per page path; null = don't save)
+     */
+    constructor(zones = [], options = {}) {
+        super();
+        this.storageKey = options.storageKey !== undefined ? options.storageKey : `trigger-zones:${location.pathname}`;
+        this.zones = [];
+        this.editing = false;
+        this.drag = null;
+        this.canvas = null;
+        this.listeners = [];
+
+        this.fromJSON(zones);
+
+        // The page's own zones: saved edits only apply while these stay the same
+        this.base = JSON.stringify(this.zones);
+        this.load();
+    }
+
+    /**
+     * Check a zone and fill in its defaults
+     */
+    static validateZone(zone, index = 0) {
+        if (!zone || !TRIGGER_ZONE_TYPES.includes(zone.type)) {
+            throw new Error(`Unknown zone type: ${zone && zone.type} (use ${TRIGGER_ZONE_TYPES.join(', ')})`);
+        }
+
+        const action = zone.action || 'note';
+        if (!['note', 'trigger', 'control'].includes(action)) {
+            throw new Error(`Unknown zone action: ${action}`);
+        }
+
+        // Only the settings its action uses, so exported zones stay readable
+        const actionDefaults = {
+            note: TRIGGER_ZONE_NOTES[zone.type],
+            trigger: { index: index },
+            control: { control: 1, channel: 0, axis: zone.type === 'line' || zone.type === 'strip' ? 'x' : 'y' }
+        }[action];
+
+        return {
+            id: zone.id || `${zone.type}-${index + 1}`,
+            ...TRIGGER_ZONE_DEFAULTS[zone.type],
+            action: action,
+            ...actionDefaults,
+            ...zone
+        };
+    }
+
+    // ========================================
+    // ZONES
+    // ========================================
+
+    get(id) {
+        return this.zones.find(zone => zone.id === id) || null;
+    }
+
+    /**
+     * The zone under a point (the first one listed wins), or null
+     */
+    hitTest(x, y) {
+        return this.zones.find(zone => this.contains(zone, x, y)) || null;
+    }
+
+    /**
+     * Is a point inside a zone? (a line's inside is below it)
+     *
+     * @param {number} margin - Grow the zone by this much (so fingers don't flicker in and out)
+     */
+    contains(zone, x, y, margin = 0) {
+        switch (zone.type) {
+            case 'line':
+                return x >= zone.x1 - margin && x <= zone.x2 + margin && y >= zone.y - margin;
+
+            case 'drum': {
+                const aspect = window.innerWidth / window.innerHeight;
+                return Math.hypot((x - zone.x) * aspect, y - zone.y) <= zone.radius + margin;
+            }
+
+            default:
+                return x >= zone.x - margin && x <= zone.x + zone.width + margin &&
+                    y >= zone.y - margin && y <= zone.y + zone.height + margin;
+        }
+    }
+
+    /**
+     * Position across a zone: { x, y } 0-1 from its left / top
+     */
+    localPosition(zone, x, y) {
+        switch (zone.type) {
+            case 'line':
+                return { x: clamp((x - zone.x1) / ((zone.x2 - zone.x1) || 1), 0, 1), y: 0 };
+
+            case 'drum': {
+                const radiusX = zone.radius * window.innerHeight / window.innerWidth;
+                return {
+                    x: clamp((x - zone.x + radiusX) / (2 * radiusX), 0, 1),
+                    y: clamp((y - zone.y + zone.radius) / (2 * zone.radius), 0, 1)
+                };
+            }
+
+            default:
+                return {
+                    x: clamp((x - zone.x) / zone.width, 0, 1),
+                    y: clamp((y - zone.y) / zone.height, 0, 1)
+                };
+        }
+    }
+
+    /**
+     * Unrounded MIDI note at a point: lines and strips play across, pads and drums one note
+     */
+    getPitch(zone, x, y) {
+        const local = this.localPosition(zone, x, y);
+
+        if (zone.type === 'line') {
+            return map(local.x, 0, 1, zone.minNote, zone.maxNote);
+        }
+        if (zone.type === 'strip') {
+            // Every key gets the same width
+            return Math.min(zone.minNote + local.x * (zone.maxNote - zone.minNote + 1), zone.maxNote + 0.999);
+        }
+        return zone.note;
+    }
+
+    /**
+     * Control value (0-1) at a point, along the zone's axis
+     */
+    getValue(zone, x, y) {
+        const local = this.localPosition(zone, x, y);
+        return zone.axis === 'x' ? local.x : 1 - local.y;
+    }
+
+    /**
+     * Does the pitch follow the finger across the zone?
+     */
+    isGlissando(zone) {
+        return zone.action === 'note' && (zone.type === 'line' || zone.type === 'strip');
+    }
+
+    // ========================================
+    // DRAWING
+    // ========================================
+
+    /**
+     * Draw every zone on the overlay canvas
+     *
+     * @param {CanvasRenderingContext2D} ctx
+     * @param {number} width - Canvas size in pixels
+     * @param {number} height
+     * @param {Set<string>} active - Ids of zones a finger is in
+     */
+    draw(ctx, width, height, active = new Set()) {
+        this.zones.forEach(zone => {
+            const color = zone.color || '#4caf50';
+            const lit = active.has(zone.id);
+
+            ctx.save();
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 3;
+
+            if (zone.type === 'line') {
+                const y = zone.y * height;
+                ctx.beginPath();
+                ctx.setLineDash(lit ? [] : [10, 10]);
+                ctx.moveTo(zone.x1 * width, y);
+                ctx.lineTo(zone.x2 * width, y);
+                ctx.stroke();
+            } else if (zone.type === 'drum') {
+                ctx.beginPath();
+                ctx.arc(zone.x * width, zone.y * height, zone.radius * height, 0, 2 * Math.PI);
+                ctx.globalAlpha = lit ? 0.5 : 0.15;
+                ctx.fill();
+                ctx.globalAlpha = 1;
+                ctx.stroke();
+            } else {
+                const x = zone.x * width;
+                const y = zone.y * height;
+                const w = zone.width * width;
+                const h = zone.height * height;
+
+                ctx.globalAlpha = lit ? 0.5 : 0.15;
+                ctx.fillRect(x, y, w, h);
+                ctx.globalAlpha = 1;
+                ctx.strokeRect(x, y, w, h);
+
+                // Strip: a line between every key
+                if (zone.type === 'strip') {
+                    const keys = zone.maxNote - zone.minNote + 1;
+                    ctx.lineWidth = 1;
+                    for (let i = 1; i < keys; i++) {
+                        ctx.beginPath();
+                        ctx.moveTo(x + w * i / keys, y);
+                        ctx.lineTo(x + w * i / keys, y + h);
+                        ctx.stroke();
+                    }
+                }
+            }
+
+            if (zone.label) {
+                const labelX = zone.type === 'line' ? zone.x1 * width + 10 : zone.x * width + (zone.type === 'drum' ? 0 : 10);
+                const labelY = zone.type === 'line' ? zone.y * height - 10 : zone.y * height + (zone.type === 'drum' ? 5 : 20);
+                ctx.font = '14px sans-serif';
+                ctx.textAlign = zone.type === 'drum' ? 'center' : 'left';
+                ctx.fillText(zone.label, labelX, labelY);
+            }
+
+            // Editing: show where to grab for resizing
+            if (this.editing) {
+                ctx.fillStyle = '#fff';
+                this.getHandles(zone).forEach(handle => {
+                    ctx.fillRect(handle.x * width - 5, handle.y * height - 5, 10, 10);
+                });
+            }
+
+            ctx.restore();
+        });
+    }
+
+    // ========================================
+    // EDITING
+    // ========================================
+
+    /**
+     * Resize handles: { name, x, y }
+     */
+    getHandles(zone) {
+        switch (zone.type) {
+            case 'line':
+                return [{ name: 'x1', x: zone.x1, y: zone.y }, { name: 'x2', x: zone.x2, y: zone.y }];
+            case 'drum':
+                return [{ name: 'radius', x: zone.x, y: zone.y + zone.radius }];
+            default:
+                return [{ name: 'corner', x: zone.x + zone.width, y: zone.y + zone.height }];
+        }
+    }
+
+    /**
+     * Turn mouse editing on or off
+     *
+     * @param {boolean} enabled
+     * @param {HTMLCanvasElement} canvas - The full-screen overlay the zones are drawn on
+     */
+    setEditing(enabled, canvas = this.canvas) {
+        this.stopEditing();
+        this.editing = enabled && !!canvas;
+        if (!this.editing) return;
+
+        this.canvas = canvas;
+        this.previousPointerEvents = canvas.style.pointerEvents;
+        canvas.style.pointerEvents = 'auto';
+        canvas.style.cursor = 'move';
+
+        const listen = (event, handler) => {
+            canvas.addEventListener(event, handler);
+            this.listeners.push({ event, handler });
+        };
+        listen('pointerdown', (e) => this.handleDown(e));
+        listen('pointermove', (e) => this.handleMove(e));
+        listen('pointerup', () => this.handleUp());
+        listen('pointercancel', () => this.handleUp());
+    }
+
+    stopEditing() {
+        if (this.canvas) {
+            this.listeners.forEach(({ event, handler }) => this.canvas.removeEventListener(event, handler));
+            this.canvas.style.pointerEvents = this.previousPointerEvents || '';
+            this.canvas.style.cursor = '';
+        }
+        this.listeners = [];
+        this.drag = null;
+        this.editing = false;
+    }
+
+    toNormalized(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) / rect.width,
+            y: (e.clientY - rect.top) / rect.height
+        };
+    }
+
+    handleDown(e) {
+        const { x, y } = this.toNormalized(e);
+
+        // A handle first, then a zone body (a line is grabbed near it)
+        for (const zone of this.zones) {
+            const handle = this.getHandles(zone).find(h => Math.abs(h.x - x) < TRIGGER_ZONE_GRAB && Math.abs(h.y - y) < TRIGGER_ZONE_GRAB);
+            const body = zone.type === 'line'
+                ? x >= zone.x1 && x <= zone.x2 && Math.abs(y - zone.y) < TRIGGER_ZONE_GRAB
+                : this.contains(zone, x, y);
+
+            if (handle || body) {
+                this.drag = { zone, handle: handle ? handle.name : null, x, y, start: { ...zone } };
+                this.canvas.setPointerCapture(e.pointerId);
+                return;
+            }
+        }
+    }
+
+    handleMove(e) {
+        if (!this.drag) return;
+
+        const { x, y } = this.toNormalized(e);
+        const { zone, handle, start } = this.drag;
+        const dx = x - this.drag.x;
+        const dy = y - this.drag.y;
+
+        if (handle === 'x1' || handle === 'x2') {
+            zone[handle] = clamp(x, 0, 1);
+
+            // Dragged past the other end: carry on with that one
+            if (zone.x1 > zone.x2) {
+                [zone.x1, zone.x2] = [zone.x2, zone.x1];
+                this.drag.handle = handle === 'x1' ? 'x2' : 'x1';
+            }
+        } else if (handle === 'radius') {
+            zone.radius = Math.max(0.02, start.radius + dy);
+        } else if (handle === 'corner') {
+            zone.width = Math.max(0.02, start.width + dx);
+            zone.height = Math.max(0.02, start.height + dy);
+        } else if (zone.type === 'line') {
+            const width = start.x2 - start.x1;
+            zone.x1 = clamp(start.x1 + dx, 0, 1 - width);
+            zone.x2 = zone.x1 + width;
+            zone.y = clamp(start.y + dy, 0, 1);
+        } else {
+            zone.x = clamp(start.x + dx, 0, 1);
+            zone.y = clamp(start.y + dy, 0, 1);
+        }
+    }
+
+    handleUp() {
+        if (!this.drag) return;
+        this.drag = null;
+        this.save();
+        this.dispatchEvent(new CustomEvent('change', { detail: { zones: this.zones } }));
+    }
+
+    // ========================================
+    // SAVE / LOAD
+    // ========================================
+
+    toJSON() {
+        return { version: 1, zones: this.zones };
+    }
+
+    /**
+     * Replace all zones
+     *
+     * @param {object|Array|string} json - toJSON() output, a zone list, or either as JSON text
+     */
+    fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const zones = Array.isArray(data) ? data : data && data.zones;
+        if (!Array.isArray(zones)) {
+            throw new Error('Not a trigger zone file');
+        }
+
+        this.zones = zones.map((zone, index) => TriggerZones.validateZone(zone, index));
+    }
+
+    save() {
+        if (!this.storageKey) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ ...this.toJSON(), base: this.base }));
+        } catch (error) {
+            console.warn('Could not save trigger zones:', error);
+        }
+    }
+
+    load() {
+        if (!this.storageKey) return;
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.base === this.base) {
+                this.fromJSON(saved);
+            }
+        } catch (error) {
+            console.warn('Could not load trigger zones:', error);
+        }
+    }
+
+    /**
+     * Forget this page's edits
+     */
+    clearSaved() {
+        if (!this.storageKey) return;
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Storage unavailable
+        }
+    }
+}
+
+// Make available globally
+window.TriggerZones = TriggerZones;
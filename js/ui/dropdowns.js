@@ -68,30 +68,17 @@ function createOutputDropdown(options = {}) {
     const wafGroup = document.createElement('optgroup');
     wafGroup.label = '🎹 WebAudioFont';
     
-    const wafInstruments = [
-        { value: 'webaudiofont:organ', label: '  Organ' },
-        { value: 'webaudiofont:choir', label: '  Choir' },
-        { value: 'webaudiofont:vibes', label: '  Vibes' }
-    ];
-
-    wafInstruments.forEach(inst => {
-        const option = document.createElement('option');
-        option.value = inst.value;
-        option.textContent = inst.label;
-        const [type, instrument] = inst.value.split(':');
-        if (selected === 'webaudiofont' && selectedConfig.instrument === instrument) {
-            option.selected = true;
-        }
-        wafGroup.appendChild(option);
+    fillInstrumentOptions(wafGroup, {
+        selected: selected === 'webaudiofont' ? selectedConfig.instrument : null
     });
     
     select.appendChild(wafGroup);
 
-    // Drums (disabled for now)
+    // Drums
     const drums = document.createElement('option');
     drums.value = 'drums';
-    drums.textContent = '🥁 Drums (coming soon)';
-    drums.disabled = true;
+    drums.textContent = '🥁 Drums';
+    drums.selected = (selected === 'drums');
     select.appendChild(drums);
 
     // MIDI Output group (if devices available)
@@ -131,6 +118,28 @@ function createOutputDropdown(options = {}) {
     return select;
 }
 
+/**
+ * Add one option per instrument in the WebAudioFont catalog
+ * (values 'webaudiofont:<id>'), e.g. to a page's <optgroup>
+ *
+ * @param {HTMLElement} container - <select> or <optgroup>
+ * @param {object} options
+ * @param {string} options.selected - Catalog id to select
+ */
+function fillInstrumentOptions(container, options = {}) {
+    const { selected = null } = options;
+
+    WebAudioFontEngine.getCatalog().forEach(inst => {
+        const option = document.createElement('option');
+        option.value = `webaudiofont:${inst.id}`;
+        option.textContent = `  ${inst.name}`;
+        if (selected === inst.id) {
+            option.selected = true;
+        }
+        container.appendChild(option);
+    });
+}
+
 /**
  * Update output dropdown with MIDI devices
  */
@@ -167,5 +176,6 @@ async function updateOutputDropdownWithMidiDevices(selectElement, outputManager)
 // Make available globally
 window.createInputDropdown = createInputDropdown;
 window.createOutputDropdown = createOutputDropdown;
+window.fillInstrumentOptions = fillInstrumentOptions;
 window.updateOutputDropdownWithMidiDevices = updateOutputDropdownWithMidiDevices;
 
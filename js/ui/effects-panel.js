@@ -0,0 +1,203 @@
+/**
+ * Musical Instrument Sandbox - Effects Panel UI Component
+ *
+ * Panel for the master effects chain: add effects, reorder them,
+ * bypass/remove them and drive every parameter with a slider.
+ *
+ * USAGE:
+ *   const panel = createEffectsPanel(outputManager.effects);
+ *   document.getElementById('wrapper').appendChild(panel);
+ */
+
+/**
+ * Create Effects Panel
+ *
+ * @param {EffectsChain} effectsChain - Usually outputManager.effects
+ * @param {Object} options
+ * @param {string} options.title - Panel heading (default: 'EFFECTS')
+ * @returns {HTMLElement}
+ */
+function createEffectsPanel(effectsChain, options = {}) {
+    const {
+        title = 'EFFECTS'
+    } = options;
+
+    const types = EffectsChain.getEffectTypes();
+
+    const panel = document.createElement('div');
+    panel.className = 'effects-panel';
+
+    const heading = document.createElement('h3');
+    heading.textContent = title;
+    panel.appendChild(heading);
+
+    // Add effect: type + insert/send
+    const addRow = document.createElement('div');
+    addRow.className = 'effects-add';
+
+    const typeSelect = document.createElement('select');
+    Object.entries(types).forEach(([type, def]) => {
+        const option = document.createElement('option');
+        option.value = type;
+        option.textContent = def.label;
+        typeSelect.appendChild(option);
+    });
+
+    const slotSelect = document.createElement('select');
+    slotSelect.innerHTML = `
+        <option value="insert">Insert</option>
+        <option value="send">Send</option>
+    `;
+
+    const addButton = document.createElement('button');
+    addButton.textContent = '+ Add';
+    addButton.addEventListener('click', () => {
+        effectsChain.addEffect(typeSelect.value, {}, { send: slotSelect.value === 'send' });
+    });
+
+    addRow.appendChild(typeSelect);
+    addRow.appendChild(slotSelect);
+    addRow.appendChild(addButton);
+    panel.appendChild(addRow);
+
+    const list = document.createElement('div');
+    list.className = 'effects-list';
+    panel.appendChild(list);
+
+    // Only rebuild when effects are added, removed, moved or bypassed,
+    // so dragging a slider doesn't recreate it mid-drag
+    let layout = '';
+
+    const render = (effects) => {
+        const newLayout = effects.map(e => `${e.id}:${e.bypass}`).join(',');
+        if (newLayout === layout) return;
+        layout = newLayout;
+
+        list.innerHTML = '';
+
+        if (effects.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'effects-empty';
+            empty.textContent = 'No effects - add one above';
+            list.appendChild(empty);
+            return;
+        }
+
+        const inserts = effects.filter(e => !e.send);
+        effects.forEach(effect => {
+            const siblings = effect.send ? effects.filter(e => e.send) : inserts;
+            list.appendChild(createEffectCard(effectsChain, effect, types[effect.type], siblings.indexOf(effect)));
+        });
+    };
+
+    effectsChain.addEventListener('change', (e) => render(e.detail.effects));
+    render(effectsChain.getEffects());
+
+    return panel;
+}
+
+/**
+ * Create the card for one effect (header buttons + parameter controls)
+ */
+function createEffectCard(effectsChain, effect, def, index) {
+    const card = document.createElement('div');
+    card.className = 'effect-card' + (effect.bypass ? ' bypassed' : '');
+
+    // Header: name, move up/down, bypass, remove
+    const header = document.createElement('div');
+    header.className = 'effect-header';
+
+    const name = document.createElement('span');
+    name.className = 'effect-name';
+    name.textContent = effect.send ? `${def.label} (send)` : def.label;
+    header.appendChild(name);
+
+    const buttons = [
+        { label: '↑', title: 'Move up', onClick: () => effectsChain.moveEffect(effect.id, index - 1) },
+        { label: '↓', title: 'Move down', onClick: () => effectsChain.moveEffect(effect.id, index + 1) },
+        { label: effect.bypass ? 'Off' : 'On', title: 'Bypass', onClick: () => effectsChain.setBypass(effect.id, !effect.bypass) },
+        { label: '✕', title: 'Remove', onClick: () => effectsChain.removeEffect(effect.id) }
+    ];
+
+    buttons.forEach(btn => {
+        const button = document.createElement('button');
+        button.textContent = btn.label;
+        button.title = btn.title;
+        button.addEventListener('click', btn.onClick);
+        header.appendChild(button);
+    });
+
+    card.appendChild(header);
+
+    // Send level first, then the effect's own parameters
+    const params = effect.send
+        ? { send: { min: 0, max: 1, step: 0.01 }, ...def.params }
+        : def.params;
+
+    Object.entries(params).forEach(([param, range]) => {
+        card.appendChild(createParamControl(effectsChain, effect, param, range));
+    });
+
+    return card;
+}
+
+/**
+ * Create a labelled slider (or select, for options like filter type)
+ */
+function createParamControl(effectsChain, effect, param, range) {
+    const row = document.createElement('div');
+    row.className = 'effect-param';
+
+    const label = document.createElement('label');
+    label.textContent = param;
+    row.appendChild(label);
+
+    const value = effect.params[param];
+
+    if (range.options) {
+        const select = document.createElement('select');
+        range.options.forEach(opt => {
+            const option = document.createElement('option');
+            option.value = opt;
+            option.textContent = opt;
+            option.selected = (opt === value);
+            select.appendChild(option);
+        });
+        select.addEventListener('change', (e) => {
+            effectsChain.setParam(effect.id, param, e.target.value);
+        });
+        row.appendChild(select);
+        return row;
+    }
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = range.min;
+    slider.max = range.max;
+    slider.step = range.step;
+    slider.value = value;
+
+    const display = document.createElement('span');
+    display.className = 'effect-value';
+    display.textContent = formatParamValue(value);
+
+    slider.addEventListener('input', (e) => {
+        const newValue = parseFloat(e.target.value);
+        display.textContent = formatParamValue(newValue);
+        effectsChain.setParam(effect.id, param, newValue);
+    });
+
+    row.appendChild(slider);
+    row.appendChild(display);
+    return row;
+}
+
+/**
+ * Short display for a parameter value
+ */
+function formatParamValue(value) {
+    return Math.abs(value) >= 100 ? Math.round(value).toString() : value.toFixed(2);
+}
+
+// Make available globally
+window.createEffectsPanel = createEffectsPanel;
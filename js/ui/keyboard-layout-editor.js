@@ -0,0 +1,345 @@
+/**
+ * Musical Instrument Sandbox - Keyboard Layout Editor UI Component
+ *
+ * renderKeyboardHelper() draws the keys of a KeyboardInput layout (the
+ * little keyboard in the corner), labelled for the user's own keyboard,
+ * with the note each key plays - so students can see where the notes are,
+ * including on the isomorphic grids.
+ *
+ * createKeyboardLayoutEditor() adds layout switching and editing to the
+ * top bar: turn on Edit, press a key (or click it in the helper), pick
+ * its note. Edited layouts are saved in localStorage and can be exported
+ * and imported as JSON.
+ *
+ * USAGE:
+ *   await inputManager.enableInput('keyboard', { layout: 'piano' });
+ *   const helper = document.getElementById('keyboard-helper');
+ *   topBar.appendChild(createKeyboardLayoutEditor(inputManager, { helper }));
+ */
+
+const KEYBOARD_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+function keyboardNoteName(note) {
+    return `${KEYBOARD_NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+/**
+ * Draw a layout into a helper element
+ *
+ * @param {HTMLElement} container - e.g. createExampleLayout().keyboardHelper
+ * @param {KeyboardInput|string|object} source - A live KeyboardInput (octave, transpose),
+ *                                               or a layout id / layout object
+ * @param {object} options
+ * @param {string} options.selected - Key id to highlight (layout editor)
+ */
+function renderKeyboardHelper(container, source = 'piano', options = {}) {
+    const keyboardInput = source instanceof KeyboardInput ? source : null;
+    const layout = keyboardInput
+        ? keyboardInput.getLayout()
+        : (typeof source === 'string' ? KeyboardInput.layouts[source] : KeyboardInput.validateLayout(source));
+
+    // Keys the rows don't place go on an extra row
+    const rows = (layout.rows || []).map(row => row.slice());
+    const placed = new Set(rows.flat());
+    const extra = Object.keys(layout.keys).filter(id => !placed.has(id));
+    if (extra.length > 0) {
+        rows.push(extra);
+    }
+
+    container.innerHTML = '';
+
+    const title = document.createElement('p');
+    title.textContent = `${layout.name} Layout:`;
+    container.appendChild(title);
+
+    rows.forEach((row, rowIndex) => {
+        if (row.length === 0) {
+            const spacer = document.createElement('div');
+            spacer.style.height = '5px';
+            container.appendChild(spacer);
+            return;
+        }
+
+        const rowDiv = document.createElement('div');
+        rowDiv.className = 'key-row';
+
+        // Staggered rows, like the real keyboard (a key is 33px with its gap)
+        if (layout.indent) {
+            rowDiv.style.justifyContent = 'flex-start';
+            rowDiv.style.paddingLeft = `${(layout.indent[rowIndex] || 0) * 33}px`;
+        }
+
+        row.forEach(id => {
+            const key = document.createElement('div');
+            key.className = 'key';
+
+            if (!id) {
+                key.style.opacity = '0.3';
+                key.textContent = '-';
+            } else {
+                key.dataset.key = id;
+                key.textContent = layout.match === 'key' ? id.toUpperCase() : KeyboardInput.getKeyLabel(id);
+
+                const value = layout.keys[id];
+                const noteLabel = document.createElement('span');
+                noteLabel.className = 'key-note';
+
+                if (value === undefined) {
+                    key.style.opacity = '0.3';
+                } else if (layout.type === 'pads') {
+                    noteLabel.textContent = `${value + 1}`;
+                    key.title = `Pad ${value + 1}`;
+                } else {
+                    const note = keyboardInput ? keyboardInput.getNote(id) : 60 + value;
+                    noteLabel.textContent = note === null ? '·' : keyboardNoteName(note);
+                    key.title = note === null ? 'Out of range' : keyboardNoteName(note);
+
+                    // Cs light up, so octaves are easy to find on the grids
+                    if (note !== null && note % 12 === 0) {
+                        key.classList.add('key-c');
+                    }
+                }
+                key.appendChild(noteLabel);
+
+                if (id === options.selected) {
+                    key.classList.add('selected');
+                }
+            }
+
+            rowDiv.appendChild(key);
+        });
+
+        container.appendChild(rowDiv);
+    });
+
+    if (keyboardInput && layout.type === 'notes') {
+        const status = document.createElement('p');
+        status.className = 'keyboard-helper-status';
+        const transpose = keyboardInput.transpose > 0 ? `+${keyboardInput.transpose}` : keyboardInput.transpose;
+        status.textContent = `Octave ${keyboardInput.baseOctave} • Transpose ${transpose}`;
+        if (keyboardInput.velocityMode === 'row') {
+            status.textContent += ` • Velocity ${Math.round(keyboardInput.velocity * 100)}%`;
+        }
+
+        const { octaveDown, octaveUp, transposeDown, transposeUp } = keyboardInput.hotkeys;
+        if (octaveDown && transposeDown) {
+            const label = KeyboardInput.getKeyLabel;
+            status.title = `${label(octaveDown)} ${label(octaveUp)} octave, ${label(transposeDown)} ${label(transposeUp)} transpose`;
+        }
+        container.appendChild(status);
+    }
+}
+
+/**
+ * Create Keyboard Layout Editor
+ *
+ * @param {InputManager} inputManager - Edits its 'keyboard' input (whenever one is enabled)
+ * @param {Object} options
+ * @param {HTMLElement} options.helper - Keyboard helper to keep up to date
+ * @returns {HTMLElement}
+ */
+function createKeyboardLayoutEditor(inputManager, options = {}) {
+    const {
+        helper = null
+    } = options;
+
+    let editing = false;
+    let selected = null;
+
+    const getKeyboard = () => inputManager.inputModules.keyboard;
+
+    const container = document.createElement('div');
+    container.className = 'keyboard-editor';
+
+    const layoutSelect = document.createElement('select');
+    layoutSelect.className = 'keyboard-editor-select';
+    layoutSelect.title = 'Keyboard layout';
+
+    const editButton = document.createElement('button');
+    editButton.className = 'keyboard-editor-button';
+    editButton.textContent = '✏️ Edit';
+    editButton.title = 'Edit layout: press a key, then pick its note';
+
+    const valueSelect = document.createElement('select');
+    valueSelect.className = 'keyboard-editor-select';
+    valueSelect.style.display = 'none';
+
+    const exportButton = document.createElement('button');
+    exportButton.className = 'keyboard-editor-button';
+    exportButton.textContent = '⬇';
+    exportButton.title = 'Export keyboard layout (.json)';
+
+    const importButton = document.createElement('button');
+    importButton.className = 'keyboard-editor-button';
+    importButton.textContent = '⬆';
+    importButton.title = 'Import keyboard layout (.json)';
+
+    const status = document.createElement('span');
+    status.className = 'keyboard-editor-status';
+
+    container.appendChild(layoutSelect);
+    container.appendChild(editButton);
+    container.appendChild(valueSelect);
+    container.appendChild(exportButton);
+    container.appendChild(importButton);
+    container.appendChild(status);
+
+    const render = () => {
+        const keyboard = getKeyboard();
+        container.classList.toggle('disabled', !keyboard);
+
+        // Layout list
+        layoutSelect.innerHTML = '';
+        Object.entries(KeyboardInput.layouts).forEach(([id, layout]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `⌨️ ${layout.name}`;
+            layoutSelect.appendChild(option);
+        });
+        if (keyboard) {
+            layoutSelect.value = keyboard.layout;
+        }
+
+        if (helper && keyboard) {
+            renderKeyboardHelper(helper, keyboard, { selected });
+        }
+
+        renderValues();
+    };
+
+    // Notes around the current octave, or the pads
+    const renderValues = () => {
+        const keyboard = getKeyboard();
+        valueSelect.style.display = editing && selected && keyboard ? '' : 'none';
+        if (!keyboard || !selected) return;
+
+        const layout = keyboard.getLayout();
+        valueSelect.innerHTML = '<option value="">—</option>';
+
+        const values = layout.type === 'pads'
+            ? Array.from({ length: 16 }, (_, i) => i)
+            : Array.from({ length: 61 }, (_, i) => i - 24);
+
+        values.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            if (layout.type === 'pads') {
+                option.textContent = `Pad ${value + 1}`;
+            } else {
+                const note = (keyboard.baseOctave + 1) * 12 + value + keyboard.transpose;
+                option.textContent = note >= 0 && note <= 127 ? keyboardNoteName(note) : `${value}`;
+            }
+            valueSelect.appendChild(option);
+        });
+
+        const current = layout.keys[selected];
+        valueSelect.value = current === undefined ? '' : current;
+    };
+
+    const select = (id) => {
+        selected = id;
+        const label = getKeyboard().getLayout().match === 'key' ? id.toUpperCase() : KeyboardInput.getKeyLabel(id);
+        status.textContent = `${label}: pick a note`;
+        render();
+    };
+
+    const setEditing = (enabled) => {
+        editing = enabled && !!getKeyboard();
+        selected = null;
+        editButton.classList.toggle('active', editing);
+        status.textContent = editing ? 'Press a key to change' : '';
+        if (helper) {
+            helper.classList.toggle('editing', editing);
+        }
+        render();
+    };
+
+    // Capture phase: in edit mode keys are picked, not played
+    const handleKeyDown = (e) => {
+        if (!editing || !getKeyboard()) return;
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        if (e.key === 'Escape') {
+            setEditing(false);
+            return;
+        }
+        select(getKeyboard().getKeyId(e));
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+
+    if (helper) {
+        helper.addEventListener('click', (e) => {
+            const key = e.target.closest('[data-key]');
+            if (editing && key) {
+                select(key.dataset.key);
+            }
+        });
+    }
+
+    layoutSelect.addEventListener('change', () => {
+        const keyboard = getKeyboard();
+        if (!keyboard) return;
+        selected = null;
+        keyboard.setLayout(layoutSelect.value);
+    });
+
+    editButton.addEventListener('click', () => setEditing(!editing));
+
+    valueSelect.addEventListener('change', () => {
+        const keyboard = getKeyboard();
+        if (!keyboard || !selected) return;
+        keyboard.mapKey(selected, valueSelect.value === '' ? null : parseInt(valueSelect.value, 10));
+        status.textContent = 'Saved';
+    });
+
+    exportButton.addEventListener('click', () => {
+        const keyboard = getKeyboard();
+        if (!keyboard) return;
+
+        const blob = new Blob([keyboard.exportLayout()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${keyboard.layout}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    importButton.addEventListener('click', () => {
+        const picker = document.createElement('input');
+        picker.type = 'file';
+        picker.accept = '.json,application/json';
+        picker.addEventListener('change', async () => {
+            if (!picker.files[0] || !getKeyboard()) return;
+            try {
+                await getKeyboard().loadLayout(await picker.files[0].text());
+                status.textContent = 'Layout imported';
+            } catch (error) {
+                alert(`Import failed: ${error.message}`);
+            }
+        });
+        picker.click();
+    });
+
+    // Layout, octave and transpose changes (hotkeys, other code) redraw everything
+    inputManager.addEventListener('keyboard-change', () => {
+        if (!getKeyboard()) {
+            setEditing(false);
+            return;
+        }
+        render();
+    });
+
+    render();
+    return container;
+}
+
+// Make available globally
+window.renderKeyboardHelper = renderKeyboardHelper;
+window.createKeyboardLayoutEditor = createKeyboardLayoutEditor;
@@ -0,0 +1,117 @@
+/**
+ * Musical Instrument Sandbox - MIDI Learn Controls UI Component
+ *
+ * Learn toggle plus export / import / clear buttons for MidiLearn,
+ * with a status line telling the user what to do next.
+ *
+ * USAGE:
+ *   const midiLearn = new MidiLearn(inputManager);
+ *   controls.appendChild(createMidiLearnControls(midiLearn, {
+ *       beforeLearn: () => inputManager.enableInput('midi')
+ *   }));
+ */
+
+/**
+ * Create MIDI Learn Controls
+ *
+ * @param {MidiLearn} midiLearn
+ * @param {Object} options
+ * @param {Function} options.beforeLearn - Called (and awaited) before learn mode starts,
+ *                                         e.g. to enable MIDI input
+ * @returns {HTMLElement}
+ */
+function createMidiLearnControls(midiLearn, options = {}) {
+    const {
+        beforeLearn = null
+    } = options;
+
+    const container = document.createElement('div');
+    container.className = 'midi-learn-controls';
+
+    const learnButton = document.createElement('button');
+    learnButton.className = 'midi-learn-button';
+    learnButton.textContent = '🎛️ Learn';
+    learnButton.title = 'MIDI Learn: click a control, then move a knob';
+
+    const exportButton = document.createElement('button');
+    exportButton.className = 'midi-learn-button';
+    exportButton.textContent = '⬇';
+    exportButton.title = 'Export MIDI mappings (.json)';
+
+    const importButton = document.createElement('button');
+    importButton.className = 'midi-learn-button';
+    importButton.textContent = '⬆';
+    importButton.title = 'Import MIDI mappings (.json)';
+
+    const clearButton = document.createElement('button');
+    clearButton.className = 'midi-learn-button';
+    clearButton.textContent = '✕';
+    clearButton.title = 'Clear all MIDI mappings';
+
+    const status = document.createElement('span');
+    status.className = 'midi-learn-status';
+
+    container.appendChild(learnButton);
+    container.appendChild(exportButton);
+    container.appendChild(importButton);
+    container.appendChild(clearButton);
+    container.appendChild(status);
+
+    learnButton.addEventListener('click', async () => {
+        if (midiLearn.learnMode) {
+            midiLearn.setLearnMode(false);
+            return;
+        }
+
+        try {
+            if (beforeLearn) {
+                await beforeLearn();
+            }
+            midiLearn.setLearnMode(true);
+        } catch (error) {
+            alert(`MIDI error: ${error.message}`);
+        }
+    });
+
+    exportButton.addEventListener('click', () => midiLearn.exportJSON());
+
+    importButton.addEventListener('click', () => {
+        const picker = document.createElement('input');
+        picker.type = 'file';
+        picker.accept = '.json,application/json';
+        picker.addEventListener('change', async () => {
+            if (!picker.files[0]) return;
+            try {
+                midiLearn.fromJSON(await picker.files[0].text());
+                status.textContent = 'Mappings imported';
+            } catch (error) {
+                alert(`Import failed: ${error.message}`);
+            }
+        });
+        picker.click();
+    });
+
+    clearButton.addEventListener('click', () => {
+        if (confirm('Remove all MIDI mappings?')) {
+            midiLearn.clear();
+        }
+    });
+
+    midiLearn.addEventListener('learn-mode', (e) => {
+        learnButton.classList.toggle('active', e.detail.enabled);
+        status.textContent = e.detail.enabled ? 'Click a control' : '';
+    });
+
+    midiLearn.addEventListener('learning', () => {
+        status.textContent = 'Move a knob or fader';
+    });
+
+    midiLearn.addEventListener('mapped', (e) => {
+        status.textContent = `CC ${e.detail.mapping.control} → ${e.detail.id}`;
+    });
+
+    return container;
+}
+
+// Make available globally
+window.createMidiLearnControls = createMidiLearnControls;
@@ -0,0 +1,297 @@
+/**
+ * Musical Instrument Sandbox - On-Screen Piano UI Component
+ *
+ * A clickable piano keyboard that is also an input: enable it on an
+ * InputManager and its keys send note-on / note-off like any other input.
+ * Keys light up for notes from every input on that InputManager (computer
+ * keyboard, MIDI, MIDI files...), not only its own.
+ *
+ * - Multi-touch: every finger plays its own note (Pointer Events)
+ * - Glissando: drag across the keys to slide from note to note
+ * - Velocity: pen/touch pressure, or where the key is hit (front = loud)
+ *
+ * EVENTS (through InputManager, source: 'piano'):
+ * - 'note-on'  → { note, velocity, x, y, pressure, pointerId, source }
+ * - 'note-off' → { note, pointerId, source }
+ *
+ * USAGE:
+ *   await inputManager.enableInput('piano', {
+ *       container: document.getElementById('piano'),
+ *       minNote: 48,
+ *       maxNote: 72
+ *   });
+ */
+
+const PIANO_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const PIANO_BLACK_KEYS = [1, 3, 6, 8, 10];
+
+class PianoKeyboard {
+    /**
+     * @param {InputManager} manager
+     * @param {object} config
+     * @param {HTMLElement} config.container - Element to draw into (default: docked to the bottom of the page)
+     * @param {number} config.minNote - Lowest key (default: 48 = C3)
+     * @param {number} config.maxNote - Highest key (default: 72 = C5)
+     * @param {string} config.labels - 'c' (Cs only), 'all' or 'none' (default: 'c')
+     * @param {number} config.velocity - Velocity when there's no pressure or position (default: 0.7)
+     */
+    constructor(manager, config = {}) {
+        this.manager = manager;
+        this.labels = config.labels || 'c';
+        this.defaultVelocity = config.velocity || 0.7;
+
+        // No container: dock one to the bottom of the page
+        this.ownsContainer = !config.container;
+        this.container = config.container || document.body.appendChild(document.createElement('div'));
+        if (this.ownsContainer) {
+            this.container.classList.add('piano-keyboard-docked');
+        }
+
+        this.element = document.createElement('div');
+        this.element.className = 'piano-keyboard';
+        this.element.style.touchAction = 'none';
+        this.container.appendChild(this.element);
+
+        this.keys = new Map();           // note → key element
+        this.activeNotes = new Map();    // note → how many inputs hold it
+        this.pointers = new Map();       // pointerId → { note }
+        this.listeners = [];
+
+        this.setRange(config.minNote || 48, config.maxNote || 72);
+        this.setupListeners();
+    }
+
+    static isBlackKey(note) {
+        return PIANO_BLACK_KEYS.includes(note % 12);
+    }
+
+    static noteName(note) {
+        return `${PIANO_NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+    }
+
+    /**
+     * Change the key range (rounded out to white keys)
+     */
+    setRange(minNote, maxNote) {
+        this.minNote = clamp(minNote, 0, 127);
+        this.maxNote = clamp(Math.max(maxNote, minNote), 0, 127);
+        if (PianoKeyboard.isBlackKey(this.minNote)) this.minNote--;
+        if (PianoKeyboard.isBlackKey(this.maxNote)) this.maxNote++;
+
+        this.releaseAll();
+        this.render();
+    }
+
+    render() {
+        this.element.innerHTML = '';
+        this.keys.clear();
+
+        let whiteCount = 0;
+        for (let note = this.minNote; note <= this.maxNote; note++) {
+            if (!PianoKeyboard.isBlackKey(note)) whiteCount++;
+        }
+        const whiteWidth = 100 / whiteCount;
+
+        let whiteIndex = 0;
+        for (let note = this.minNote; note <= this.maxNote; note++) {
+            const black = PianoKeyboard.isBlackKey(note);
+
+            const key = document.createElement('div');
+            key.className = black ? 'piano-key piano-key-black' : 'piano-key piano-key-white';
+            key.dataset.note = note;
+            key.title = PianoKeyboard.noteName(note);
+
+            if (black) {
+                // Centred on the line between the white keys either side
+                key.style.left = `${whiteIndex * whiteWidth - whiteWidth * 0.3}%`;
+                key.style.width = `${whiteWidth * 0.6}%`;
+            } else {
+                key.style.left = `${whiteIndex * whiteWidth}%`;
+                key.style.width = `${whiteWidth}%`;
+                whiteIndex++;
+
+                if (this.labels === 'all' || (this.labels === 'c' && note % 12 === 0)) {
+                    const label = document.createElement('span');
+                    label.className = 'piano-key-label';
+                    label.textContent = PianoKeyboard.noteName(note);
+                    key.appendChild(label);
+                }
+            }
+
+            if (this.activeNotes.has(note)) {
+                key.classList.add('active');
+            }
+
+            this.keys.set(note, key);
+            this.element.appendChild(key);
+        }
+    }
+
+    setupListeners() {
+        const listen = (element, event, handler) => {
+            element.addEventListener(event, handler);
+            this.listeners.push({ element, event, handler });
+        };
+
+        listen(this.element, 'pointerdown', (e) => this.handleDown(e));
+        listen(this.element, 'pointermove', (e) => this.handleMove(e));
+        listen(this.element, 'pointerup', (e) => this.handleUp(e));
+        listen(this.element, 'pointercancel', (e) => this.handleUp(e));
+        listen(this.element, 'lostpointercapture', (e) => this.handleUp(e));
+
+        // Light up notes from every input, ours included
+        listen(this.manager, 'note-on', (e) => this.highlight(e.detail.note, true));
+        listen(this.manager, 'note-off', (e) => this.highlight(e.detail.note, false));
+    }
+
+    handleDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        if (this.pointers.has(e.pointerId)) return;
+        e.preventDefault();
+
+        // Keep getting this finger's moves, for glissando and release
+        try {
+            this.element.setPointerCapture(e.pointerId);
+        } catch (error) {
+            // Already released
+        }
+
+        const pointer = { note: null };
+        this.pointers.set(e.pointerId, pointer);
+        this.pressKey(e, pointer);
+    }
+
+    handleMove(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        // Slid onto another key (or off the keyboard)
+        if (this.keyAt(e.clientX, e.clientY) !== pointer.note) {
+            this.liftKey(e.pointerId, pointer);
+            this.pressKey(e, pointer);
+        }
+    }
+
+    handleUp(e) {
+        const pointer = this.pointers.get(e.pointerId);
+        if (!pointer) return;
+
+        this.pointers.delete(e.pointerId);
+        this.liftKey(e.pointerId, pointer);
+    }
+
+    pressKey(e, pointer) {
+        const note = this.keyAt(e.clientX, e.clientY);
+        if (note === null) return;
+
+        const pressure = this.getPressure(e);
+        pointer.note = note;
+        this.manager.emitMusicalEvent('note-on', {
+            note: note,
+            velocity: pressure !== null ? clamp(pressure, 0.1, 1.0) : this.positionToVelocity(note, e.clientY),
+            x: e.clientX,
+            y: e.clientY,
+            pressure: pressure !== null ? pressure : this.defaultVelocity,
+            pointerId: e.pointerId,
+            source: 'piano'
+        });
+    }
+
+    liftKey(pointerId, pointer) {
+        if (pointer.note === null) return;
+
+        const note = pointer.note;
+        pointer.note = null;
+        this.manager.emitMusicalEvent('note-off', {
+            note: note,
+            pointerId: pointerId,
+            source: 'piano'
+        });
+    }
+
+    /**
+     * Let go of every key this piano is holding
+     */
+    releaseAll() {
+        this.pointers.forEach((pointer, pointerId) => this.liftKey(pointerId, pointer));
+        this.pointers.clear();
+    }
+
+    /**
+     * Note of the key under a point, or null
+     */
+    keyAt(x, y) {
+        const target = document.elementFromPoint(x, y);
+        const key = target && target.closest ? target.closest('.piano-key') : null;
+        if (!key || !this.element.contains(key)) return null;
+        return parseInt(key.dataset.note, 10);
+    }
+
+    /**
+     * Louder towards the front of the key, like a real one
+     */
+    positionToVelocity(note, y) {
+        const key = this.keys.get(note);
+        const rect = key ? key.getBoundingClientRect() : null;
+        if (!rect || rect.height === 0) return this.defaultVelocity;
+
+        return clamp(0.3 + 0.7 * (y - rect.top) / rect.height, 0.3, 1.0);
+    }
+
+    /**
+     * Real pressure (0-1), or null when the device doesn't measure it
+     */
+    getPressure(e) {
+        const pressure = e.pressure;
+        if (typeof pressure !== 'number' || pressure === 0) return null;
+        if (pressure === 0.5 && e.pointerType !== 'pen') return null;
+        return pressure;
+    }
+
+    /**
+     * Light a key up (or not); a note held by two inputs stays lit until both let go
+     */
+    highlight(note, on) {
+        if (typeof note !== 'number') return;
+
+        const count = Math.max(0, (this.activeNotes.get(note) || 0) + (on ? 1 : -1));
+        if (count > 0) {
+            this.activeNotes.set(note, count);
+        } else {
+            this.activeNotes.delete(note);
+        }
+
+        const key = this.keys.get(note);
+        if (key) {
+            key.classList.toggle('active', count > 0);
+        }
+    }
+
+    /**
+     * Unlight every key (e.g. after a page's all-notes-off)
+     */
+    clearHighlights() {
+        this.activeNotes.clear();
+        this.keys.forEach(key => key.classList.remove('active'));
+    }
+
+    /**
+     * Cleanup listeners and the keyboard
+     */
+    cleanup() {
+        this.releaseAll();
+
+        this.listeners.forEach(({ element, event, handler }) => {
+            element.removeEventListener(event, handler);
+        });
+        this.listeners = [];
+
+        this.element.remove();
+        if (this.ownsContainer) {
+            this.container.remove();
+        }
+    }
+}
+
+// Make available globally
+window.PianoKeyboard = PianoKeyboard;
@@ -0,0 +1,136 @@
+/**
+ * Musical Instrument Sandbox - Recorder Controls UI Component
+ *
+ * Record / pause / stop buttons with a timer, plus download buttons
+ * once a recording is finished. Sized to sit in the top bar.
+ * 
+ * Works with Recorder (audio → WAV) and PerformanceRecorder (notes → .mid).
+ *
+ * USAGE:
+ *   const layout = createExampleLayout({ title: 'My Instrument' });
+ *   const recorder = new Recorder(outputManager);
+ *   layout.topBar.appendChild(createRecorderControls(recorder));
+ */
+
+/**
+ * Create Recorder Controls
+ *
+ * @param {Recorder|PerformanceRecorder} recorder
+ * @param {Object} options
+ * @param {string} options.label - Record button text (default: '⏺ Rec')
+ * @param {string} options.filename - Download name without extension (default: timestamped)
+ * @returns {HTMLElement}
+ */
+function createRecorderControls(recorder, options = {}) {
+    const {
+        label = '⏺ Rec',
+        filename = null
+    } = options;
+
+    const container = document.createElement('div');
+    container.className = 'recorder-controls';
+
+    const recordButton = document.createElement('button');
+    recordButton.className = 'recorder-button record';
+    recordButton.textContent = label;
+    recordButton.title = 'Start recording';
+
+    const pauseButton = document.createElement('button');
+    pauseButton.className = 'recorder-button';
+    pauseButton.textContent = '⏸';
+    pauseButton.title = 'Pause / resume';
+    pauseButton.disabled = true;
+
+    const stopButton = document.createElement('button');
+    stopButton.className = 'recorder-button';
+    stopButton.textContent = '⏹';
+    stopButton.title = 'Stop recording';
+    stopButton.disabled = true;
+
+    const time = document.createElement('span');
+    time.className = 'recorder-time';
+    time.textContent = '0:00';
+
+    // Filled with download buttons after each recording
+    const downloads = document.createElement('span');
+    downloads.className = 'recorder-downloads';
+
+    container.appendChild(recordButton);
+    container.appendChild(pauseButton);
+    container.appendChild(stopButton);
+    container.appendChild(time);
+    container.appendChild(downloads);
+
+    let timer = null;
+
+    const updateTime = () => {
+        const seconds = Math.floor(recorder.getDuration());
+        time.textContent = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    };
+
+    const addDownload = (label, blob) => {
+        const button = document.createElement('button');
+        button.className = 'recorder-button';
+        button.textContent = `⬇ ${label}`;
+        button.addEventListener('click', () => {
+            const extension = label.toLowerCase();
+            recorder.download(blob, filename ? `${filename}.${extension}` : undefined);
+        });
+        downloads.appendChild(button);
+    };
+
+    recordButton.addEventListener('click', () => recorder.start());
+    pauseButton.addEventListener('click', () => {
+        if (recorder.state === 'paused') {
+            recorder.resume();
+        } else {
+            recorder.pause();
+        }
+    });
+    stopButton.addEventListener('click', () => recorder.stop());
+
+    recorder.addEventListener('start', () => {
+        downloads.innerHTML = '';
+        recordButton.disabled = true;
+        recordButton.classList.add('active');
+        pauseButton.disabled = false;
+        stopButton.disabled = false;
+        timer = setInterval(updateTime, 250);
+    });
+
+    recorder.addEventListener('pause', () => {
+        recordButton.classList.remove('active');
+        pauseButton.textContent = '▶';
+    });
+
+    recorder.addEventListener('resume', () => {
+        recordButton.classList.add('active');
+        pauseButton.textContent = '⏸';
+    });
+
+    recorder.addEventListener('stop', (e) => {
+        clearInterval(timer);
+        updateTime();
+        recordButton.disabled = false;
+        recordButton.classList.remove('active');
+        pauseButton.disabled = true;
+        pauseButton.textContent = '⏸';
+        stopButton.disabled = true;
+
+        const { wav, compressed, midi } = e.detail;
+        if (wav) {
+            addDownload('WAV', wav);
+        }
+        if (midi) {
+            addDownload('MID', midi);
+        }
+        if (compressed) {
+            addDownload(compressed.type.includes('ogg') ? 'OGG' : 'WEBM', compressed);
+        }
+    });
+
+    return container;
+}
+
+// Make available globally
+window.createRecorderControls = createRecorderControls;
@@ -0,0 +1,307 @@
+/**
+ * Musical Instrument Sandbox - MIDI Access
+ *
+ * Every MIDI module (MidiInput, MidiOutput, AudioOutputManager) gets its
+ * MIDIAccess from MidiAccess.request() instead of calling
+ * navigator.requestMIDIAccess() itself, so the browser's MIDI can be
+ * swapped for something else - like VirtualMidi below.
+ *
+ * VIRTUAL MIDI: MIDI ports that live in the page, for tests and for
+ * machines without MIDI devices:
+ * - Loopbacks: an output port whose messages arrive on an input port,
+ *   so MidiOutput can play into MidiInput
+ * - Scripted playback: feed timed messages into an input port
+ * - Hot-plugging: add and remove ports (fires 'statechange')
+ *
+ * Add ?virtual-midi to any page's URL to use a virtual loopback instead
+ * of real devices.
+ *
+ * USAGE:
+ *   const virtualMidi = VirtualMidi.install();               // MidiAccess now returns it
+ *   const { input, output } = virtualMidi.createLoopback('Loopback');
+ *   await inputManager.enableInput('midi');                  // Sees 'Loopback'
+ *   virtualMidi.playScript(input, [
+ *       { time: 0, data: [0x90, 60, 100] },                  // time in ms
+ *       { time: 500, data: [0x80, 60, 0] }
+ *   ]);
+ *
+ *   // Or a custom provider (tests)
+ *   MidiAccess.setProvider(async (options) => myFakeAccess);
+ */
+
+const MidiAccess = {
+    provider: null,
+
+    /**
+     * Use a different MIDIAccess source
+     *
+     * @param {Function|null} provider - async (options) => MIDIAccess, null = the browser's
+     */
+    setProvider: (provider) => {
+        MidiAccess.provider = provider;
+    },
+
+    /**
+     * Is there any way to get MIDI access?
+     */
+    isSupported: () => !!MidiAccess.provider || !!navigator.requestMIDIAccess,
+
+    /**
+     * Get a MIDIAccess (same options as navigator.requestMIDIAccess)
+     *
+     * @param {object} options - e.g. { sysex: true }
+     * @returns {Promise<MIDIAccess>}
+     */
+    request: (options = {}) => {
+        if (MidiAccess.provider) {
+            return Promise.resolve(MidiAccess.provider(options));
+        }
+        if (!navigator.requestMIDIAccess) {
+            return Promise.reject(new Error('Web MIDI API not supported in this browser'));
+        }
+        return navigator.requestMIDIAccess(options);
+    }
+};
+
+// ========================================
+// VIRTUAL MIDI
+// ========================================
+
+/**
+ * A virtual MIDI port, shaped like the Web MIDI API's MIDIInput / MIDIOutput
+ */
+class VirtualMidiPort extends EventTarget {
+    constructor(access, type, id, name) {
+        super();
+        this.access = access;
+        this.type = type;                 // 'input' or 'output'
+        this.id = id;
+        this.name = name;
+        this.manufacturer = 'Virtual MIDI';
+        this.version = '1.0';
+        this.state = 'connected';         // 'connected' or 'disconnected'
+        this.connection = 'closed';       // 'open' or 'closed'
+        this.onmidimessage = null;
+        this.onstatechange = null;
+        this.target = null;               // Output only: input port that receives our messages
+        this.timeouts = new Set();
+    }
+
+    open() {
+        this.connection = 'open';
+        return Promise.resolve(this);
+    }
+
+    close() {
+        this.connection = 'closed';
+        return Promise.resolve(this);
+    }
+
+    /**
+     * Output: send a message (timestamp in performance.now() ms, default: now)
+     */
+    send(data, timestamp) {
+        if (this.type !== 'output') {
+            throw new Error('Only output ports can send');
+        }
+        if (this.state === 'disconnected') {
+            throw new Error(`${this.name} is disconnected`);
+        }
+
+        this.access.log.push({ port: this.id, data: Array.from(data), timestamp });
+
+        if (this.target) {
+            this.target.deliver(data, timestamp);
+        }
+    }
+
+    /**
+     * Output: drop messages that were sent with a future timestamp
+     */
+    clear() {
+        if (this.target) {
+            this.target.cancelPending();
+        }
+    }
+
+    /**
+     * Input: receive a message at a time (performance.now() ms, default: now)
+     */
+    deliver(data, timestamp) {
+        const delay = timestamp === undefined ? 0 : timestamp - performance.now();
+
+        const receive = () => {
+            if (this.state === 'disconnected') return;
+            const event = new Event('midimessage');
+            event.data = new Uint8Array(data);
+            event.receivedTime = performance.now();
+            Object.defineProperty(event, 'timeStamp', { value: timestamp === undefined ? performance.now() : timestamp });
+
+            this.connection = 'open';
+            if (this.onmidimessage) {
+                this.onmidimessage(event);
+            }
+            this.dispatchEvent(event);
+        };
+
+        if (delay <= 0) {
+            receive();
+        } else {
+            const timeout = setTimeout(() => {
+                this.timeouts.delete(timeout);
+                receive();
+            }, delay);
+            this.timeouts.add(timeout);
+        }
+    }
+
+    cancelPending() {
+        this.timeouts.forEach(timeout => clearTimeout(timeout));
+        this.timeouts.clear();
+    }
+}
+
+/**
+ * A virtual MIDIAccess: same inputs / outputs / onstatechange shape as the real one
+ */
+class VirtualMidi extends EventTarget {
+    constructor() {
+        super();
+        this.inputs = new Map();
+        this.outputs = new Map();
+        this.sysexEnabled = true;
+        this.onstatechange = null;
+        this.nextId = 1;
+        this.log = [];                 // Every message sent to an output: { port, data, timestamp }
+    }
+
+    /**
+     * Create a VirtualMidi and make MidiAccess return it
+     */
+    static install() {
+        const virtualMidi = new VirtualMidi();
+        MidiAccess.setProvider(() => virtualMidi);
+        console.log('🔌 Virtual MIDI installed');
+        return virtualMidi;
+    }
+
+    /**
+     * Go back to the browser's MIDI
+     */
+    static uninstall() {
+        MidiAccess.setProvider(null);
+    }
+
+    /**
+     * Add an input port (messages come from playScript() / sendToInput())
+     */
+    addInput(name = 'Virtual Input') {
+        const port = new VirtualMidiPort(this, 'input', `virtual-input-${this.nextId++}`, name);
+        this.inputs.set(port.id, port);
+        this.notifyStateChange(port);
+        return port;
+    }
+
+    /**
+     * Add an output port (sent messages are kept in this.log)
+     */
+    addOutput(name = 'Virtual Output') {
+        const port = new VirtualMidiPort(this, 'output', `virtual-output-${this.nextId++}`, name);
+        this.outputs.set(port.id, port);
+        this.notifyStateChange(port);
+        return port;
+    }
+
+    /**
+     * An output and an input with the same name: whatever goes out comes back in
+     *
+     * @returns {object} { input, output }
+     */
+    createLoopback(name = 'Virtual Loopback') {
+        const input = this.addInput(name);
+        const output = this.addOutput(name);
+        output.target = input;
+        return { input, output };
+    }
+
+    /**
+     * Unplug a port
+     */
+    removePort(port) {
+        port.state = 'disconnected';
+        port.connection = 'closed';
+        port.cancelPending();
+        (port.type === 'input' ? this.inputs : this.outputs).delete(port.id);
+        this.notifyStateChange(port);
+    }
+
+    /**
+     * Fire 'statechange' like a device being plugged in or out
+     */
+    notifyStateChange(port) {
+        const event = new Event('statechange');
+        event.port = port;
+
+        if (this.onstatechange) {
+            this.onstatechange(event);
+        }
+        this.dispatchEvent(event);
+
+        if (port.onstatechange) {
+            port.onstatechange(event);
+        }
+    }
+
+    /**
+     * Send one message into an input port now
+     */
+    sendToInput(input, data) {
+        input.deliver(data);
+    }
+
+    /**
+     * Play timed messages into an input port
+     *
+     * @param {VirtualMidiPort} input
+     * @param {Array<object>} events - [{ time (ms from now), data }]
+     * @param {object} options
+     * @param {boolean} options.loop - Repeat forever (default: false)
+     * @param {number} options.length - Loop length in ms (default: last event time)
+     * @returns {Function} Call to stop the script
+     */
+    playScript(input, events, options = {}) {
+        const { loop = false } = options;
+        const length = options.length || events.reduce((max, e) => Math.max(max, e.time), 0);
+        let stopped = false;
+        let loopTimeout = null;
+
+        const playOnce = () => {
+            if (stopped) return;
+            const start = performance.now();
+            events.forEach(({ time, data }) => input.deliver(data, start + time));
+
+            if (loop && length > 0) {
+                loopTimeout = setTimeout(playOnce, length);
+            }
+        };
+
+        playOnce();
+
+        return () => {
+            stopped = true;
+            clearTimeout(loopTimeout);
+            input.cancelPending();
+        };
+    }
+}
+
+// ?virtual-midi in the URL: demo without devices
+if (typeof location !== 'undefined' && new URLSearchParams(location.search).has('virtual-midi')) {
+    window.virtualMidi = VirtualMidi.install();
+    window.virtualMidi.createLoopback();
+}
+
+// Make available globally
+window.MidiAccess = MidiAccess;
+window.VirtualMidi = VirtualMidi;
+window.VirtualMidiPort = VirtualMidiPort;
@@ -0,0 +1,452 @@
+/**
+ * Musical Instrument Sandbox - Standard MIDI File Utilities
+ *
+ * Reads and writes Standard MIDI Files (.mid) - the files any DAW or
+ * notation app can open.
+ *
+ * A file is a list of tracks; each track is a list of events with an
+ * absolute time in ticks (ppq = ticks per quarter note) and raw MIDI bytes:
+ *
+ *   const bytes = MidiFile.write({
+ *       format: 1,
+ *       ppq: 480,
+ *       tracks: [
+ *           [MidiFile.tempoEvent(0, 120)],
+ *           [
+ *               { tick: 0, data: [0x90, 60, 100] },     // Note on, channel 1
+ *               { tick: 480, data: [0x80, 60, 0] }      // Note off one beat later
+ *           ]
+ *       ]
+ *   });
+ *   MidiFile.download(bytes, 'song.mid');
+ *
+ * Reading a file:
+ *
+ *   const song = MidiFile.parse(await file.arrayBuffer());
+ *   const notes = MidiFile.getNotes(song);   // [{ note, velocity, channel, time, duration }] in seconds
+ */
+
+const MidiFile = {
+    /**
+     * Encode a Standard MIDI File
+     *
+     * @param {object} file
+     * @param {number} file.format - 0 (single track) or 1 (multiple tracks, played together)
+     * @param {number} file.ppq - Ticks per quarter note (default: 480)
+     * @param {Array<Array<object>>} file.tracks - [[{ tick, data }]], end-of-track is added automatically
+     * @returns {Uint8Array} File bytes
+     */
+    write: ({ format = 1, ppq = 480, tracks }) => {
+        if (format === 0 && tracks.length !== 1) {
+            throw new Error('A format 0 MIDI file must have exactly one track');
+        }
+
+        const bytes = [];
+
+        // Header chunk
+        MidiFile.append(bytes, MidiFile.stringBytes('MThd'));
+        MidiFile.append(bytes, MidiFile.uint32(6));
+        MidiFile.append(bytes, MidiFile.uint16(format));
+        MidiFile.append(bytes, MidiFile.uint16(tracks.length));
+        MidiFile.append(bytes, MidiFile.uint16(ppq));
+
+        // Track chunks
+        tracks.forEach(events => {
+            const data = MidiFile.encodeTrack(events);
+            MidiFile.append(bytes, MidiFile.stringBytes('MTrk'));
+            MidiFile.append(bytes, MidiFile.uint32(data.length));
+            MidiFile.append(bytes, data);
+        });
+
+        return new Uint8Array(bytes);
+    },
+
+    /**
+     * Add bytes to the end of an array
+     *
+     * A loop, not push(...values): spreading a long track's bytes into one
+     * call overflows the stack.
+     */
+    append: (bytes, values) => {
+        for (let i = 0; i < values.length; i++) {
+            bytes.push(values[i]);
+        }
+        return bytes;
+    },
+
+    /**
+     * Encode one track's events (sorted by tick) with delta times
+     */
+    encodeTrack: (events) => {
+        // Stable sort: events on the same tick keep their order
+        const sorted = events
+            .map((event, index) => ({ ...event, index }))
+            .sort((a, b) => a.tick - b.tick || a.index - b.index);
+
+        const bytes = [];
+        let lastTick = 0;
+
+        sorted.forEach(event => {
+            const tick = Math.max(0, Math.round(event.tick));
+            MidiFile.append(bytes, MidiFile.varLength(tick - lastTick));
+            MidiFile.append(bytes, event.data);
+            lastTick = tick;
+        });
+
+        // End of track
+        bytes.push(0x00, 0xFF, 0x2F, 0x00);
+        return bytes;
+    },
+
+    /**
+     * Tempo meta event
+     *
+     * @param {number} tick
+     * @param {number} bpm - Quarter notes per minute
+     */
+    tempoEvent: (tick, bpm) => {
+        const microseconds = Math.round(60000000 / bpm);
+        return {
+            tick,
+            data: [0xFF, 0x51, 0x03, (microseconds >> 16) & 0xFF, (microseconds >> 8) & 0xFF, microseconds & 0xFF]
+        };
+    },
+
+    /**
+     * Time signature meta event (e.g. 4/4)
+     */
+    timeSignatureEvent: (tick, numerator = 4, denominator = 4) => ({
+        tick,
+        data: [0xFF, 0x58, 0x04, numerator, Math.log2(denominator), 24, 8]
+    }),
+
+    /**
+     * Track name meta event
+     */
+    trackNameEvent: (tick, name) => {
+        const text = MidiFile.stringBytes(name);
+        return { tick, data: [0xFF, 0x03, ...MidiFile.varLength(text.length), ...text] };
+    },
+
+    /**
+     * Variable-length quantity (7 bits per byte, high bit = more bytes follow)
+     */
+    varLength: (value) => {
+        const bytes = [value & 0x7F];
+        value >>= 7;
+        while (value > 0) {
+            bytes.unshift((value & 0x7F) | 0x80);
+            value >>= 7;
+        }
+        return bytes;
+    },
+
+    // ========================================
+    // READING
+    // ========================================
+
+    /**
+     * Parse a Standard MIDI File
+     *
+     * Handles format 0/1/2, running status, meta and sysex events.
+     * Note-on with velocity 0 is returned as a note-off.
+     *
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @returns {object} { format, ppq, tracks: [{ name, events }], tempos: [{ tick, bpm }], duration }
+     *   Events: { tick, type, channel, ... } - channel is 0-based, tick is absolute
+     */
+    parse: (buffer) => {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+        const reader = new MidiFileReader(bytes);
+
+        if (reader.string(4) !== 'MThd') {
+            throw new Error('Not a MIDI file (missing MThd header)');
+        }
+        const headerLength = reader.uint32();
+        const format = reader.uint16();
+        const trackCount = reader.uint16();
+        const division = reader.uint16();
+        reader.skip(headerLength - 6);
+
+        // SMPTE division (rare): ticks per second instead of per quarter note
+        let ppq = division;
+        let smpte = null;
+        if (division & 0x8000) {
+            const framesPerSecond = 256 - (division >> 8);
+            smpte = framesPerSecond * (division & 0xFF);
+            ppq = smpte / 2;   // Treated as 120 BPM below
+        }
+
+        const tracks = [];
+        while (tracks.length < trackCount && reader.remaining() >= 8) {
+            const id = reader.string(4);
+            const length = reader.uint32();
+            const end = Math.min(reader.position + length, bytes.length);
+
+            if (id === 'MTrk') {
+                tracks.push(MidiFile.parseTrack(reader, end));
+            }
+            reader.position = end;   // Skip unknown chunks
+        }
+
+        // Tempo map: tempo events from every track (format 1 keeps them in the first)
+        const tempos = [];
+        tracks.forEach(track => track.events.forEach(event => {
+            if (event.type === 'tempo' && !smpte) {
+                tempos.push({ tick: event.tick, bpm: event.bpm });
+            }
+        }));
+        tempos.sort((a, b) => a.tick - b.tick);
+        if (tempos.length === 0 || tempos[0].tick > 0) {
+            tempos.unshift({ tick: 0, bpm: 120 });
+        }
+
+        const song = { format, ppq, tracks, tempos };
+        const lastTick = tracks.reduce((max, track) => Math.max(max, track.endTick), 0);
+        song.duration = MidiFile.ticksToSeconds(song, lastTick);
+
+        console.log(`📄 MIDI file: format ${format}, ${tracks.length} track(s), ${song.duration.toFixed(1)}s`);
+        return song;
+    },
+
+    /**
+     * Read one MTrk chunk's events
+     */
+    parseTrack: (reader, end) => {
+        const events = [];
+        let tick = 0;
+        let runningStatus = null;
+        let name = '';
+
+        while (reader.position < end) {
+            tick += reader.varLength();
+            let status = reader.uint8();
+
+            if (status === 0xFF) {
+                // Meta event
+                const metaType = reader.uint8();
+                const length = reader.varLength();
+                const data = reader.bytes(length);
+                const event = MidiFile.parseMeta(tick, metaType, data);
+                if (event.type === 'trackName' && !name) {
+                    name = event.text;
+                }
+                events.push(event);
+                if (event.type === 'endOfTrack') break;
+                continue;
+            }
+
+            if (status === 0xF0 || status === 0xF7) {
+                // System exclusive
+                const length = reader.varLength();
+                events.push({ tick, type: 'sysex', data: reader.bytes(length) });
+                continue;
+            }
+
+            if (status < 0x80) {
+                // Running status: reuse the last status byte, this byte is data
+                if (runningStatus === null) {
+                    throw new Error('Invalid MIDI file: data byte without a status byte');
+                }
+                reader.position--;
+                status = runningStatus;
+            } else {
+                runningStatus = status;
+            }
+
+            const channel = status & 0x0F;
+            const data1 = reader.uint8();
+
+            switch (status & 0xF0) {
+                case 0x80:
+                    events.push({ tick, type: 'noteOff', channel, note: data1, velocity: reader.uint8() });
+                    break;
+                case 0x90: {
+                    const velocity = reader.uint8();
+                    events.push({ tick, type: velocity > 0 ? 'noteOn' : 'noteOff', channel, note: data1, velocity });
+                    break;
+                }
+                case 0xA0:
+                    events.push({ tick, type: 'polyAftertouch', channel, note: data1, pressure: reader.uint8() });
+                    break;
+                case 0xB0:
+                    events.push({ tick, type: 'controlChange', channel, control: data1, value: reader.uint8() });
+                    break;
+                case 0xC0:
+                    events.push({ tick, type: 'programChange', channel, program: data1 });
+                    break;
+                case 0xD0:
+                    events.push({ tick, type: 'aftertouch', channel, pressure: data1 });
+                    break;
+                case 0xE0: {
+                    // 14-bit value, centre = 8192 → -1 to 1
+                    const value = (reader.uint8() << 7) | data1;
+                    events.push({ tick, type: 'pitchBend', channel, value: (value - 8192) / 8192 });
+                    break;
+                }
+            }
+        }
+
+        return { name, events, endTick: tick };
+    },
+
+    /**
+     * Decode the meta events we use; others are kept as raw data
+     */
+    parseMeta: (tick, metaType, data) => {
+        const text = () => String.fromCharCode(...data);
+
+        switch (metaType) {
+            case 0x01: return { tick, type: 'text', text: text() };
+            case 0x03: return { tick, type: 'trackName', text: text() };
+            case 0x04: return { tick, type: 'instrumentName', text: text() };
+            case 0x05: return { tick, type: 'lyric', text: text() };
+            case 0x06: return { tick, type: 'marker', text: text() };
+            case 0x2F: return { tick, type: 'endOfTrack' };
+            case 0x51: {
+                const microseconds = (data[0] << 16) | (data[1] << 8) | data[2];
+                return { tick, type: 'tempo', bpm: 60000000 / microseconds };
+            }
+            case 0x58:
+                return { tick, type: 'timeSignature', numerator: data[0], denominator: Math.pow(2, data[1]) };
+            default:
+                return { tick, type: 'meta', metaType, data };
+        }
+    },
+
+    /**
+     * Convert an absolute tick to seconds using the song's tempo map
+     */
+    ticksToSeconds: (song, tick) => {
+        let seconds = 0;
+        for (let i = 0; i < song.tempos.length; i++) {
+            const tempo = song.tempos[i];
+            const next = song.tempos[i + 1];
+            const segmentEnd = next ? Math.min(next.tick, tick) : tick;
+            if (segmentEnd <= tempo.tick) break;
+            seconds += (segmentEnd - tempo.tick) / song.ppq * (60 / tempo.bpm);
+        }
+        return seconds;
+    },
+
+    /**
+     * Pair note-ons with note-offs across all tracks
+     *
+     * @param {object} song - From parse()
+     * @returns {Array<object>} [{ note, velocity (0-1), channel, track, time, duration }] sorted by time (seconds)
+     */
+    getNotes: (song) => {
+        const notes = [];
+
+        song.tracks.forEach((track, trackIndex) => {
+            const open = new Map();   // 'channel:note' → [notes], first in first out
+
+            track.events.forEach(event => {
+                const key = `${event.channel}:${event.note}`;
+
+                if (event.type === 'noteOn') {
+                    const note = {
+                        note: event.note,
+                        velocity: event.velocity / 127,
+                        channel: event.channel,
+                        track: trackIndex,
+                        startTick: event.tick
+                    };
+                    if (!open.has(key)) open.set(key, []);
+                    open.get(key).push(note);
+                    notes.push(note);
+                } else if (event.type === 'noteOff' && open.has(key) && open.get(key).length > 0) {
+                    open.get(key).shift().endTick = event.tick;
+                }
+            });
+
+            // Notes never switched off last until the end of the track
+            open.forEach(list => list.forEach(note => { note.endTick = track.endTick; }));
+        });
+
+        return notes
+            .map(({ startTick, endTick, ...note }) => {
+                const time = MidiFile.ticksToSeconds(song, startTick);
+                return { ...note, time, duration: Math.max(0.01, MidiFile.ticksToSeconds(song, endTick) - time) };
+            })
+            .sort((a, b) => a.time - b.time);
+    },
+
+    uint32: (value) => [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF],
+
+    uint16: (value) => [(value >> 8) & 0xFF, value & 0xFF],
+
+    // Non-ASCII characters are replaced with '?'
+    stringBytes: (text) => Array.from(text, ch => ch.charCodeAt(0) < 128 ? ch.charCodeAt(0) : 63),
+
+    /**
+     * Save file bytes to the user's downloads
+     */
+    download: (bytes, filename = 'performance.mid') => {
+        const blob = new Blob([bytes], { type: 'audio/midi' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
+
+/**
+ * Big-endian byte reader for parse()
+ */
+class MidiFileReader {
+    constructor(bytes) {
+        this.data = bytes;
+        this.position = 0;
+    }
+
+    remaining() {
+        return this.data.length - this.position;
+    }
+
+    uint8() {
+        if (this.position >= this.data.length) {
+            throw new Error('Invalid MIDI file: unexpected end of data');
+        }
+        return this.data[this.position++];
+    }
+
+    uint16() {
+        return (this.uint8() << 8) | this.uint8();
+    }
+
+    uint32() {
+        return ((this.uint8() << 24) | (this.uint8() << 16) | (this.uint8() << 8) | this.uint8()) >>> 0;
+    }
+
+    varLength() {
+        let value = 0;
+        let byte;
+        do {
+            byte = this.uint8();
+            value = (value << 7) | (byte & 0x7F);
+        } while (byte & 0x80);
+        return value;
+    }
+
+    bytes(length) {
+        const result = this.data.slice(this.position, this.position + length);
+        this.position += length;
+        return result;
+    }
+
+    string(length) {
+        return String.fromCharCode(...this.bytes(length));
+    }
+
+    skip(length) {
+        this.position += length;
+    }
+}
+
+// Make available globally
+window.MidiFile = MidiFile;